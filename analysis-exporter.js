@@ -0,0 +1,201 @@
+/**
+ * Analysis Exporter Module
+ * Writes the computed analysis (not the charts) to an Excel workbook with SheetJS,
+ * so the numbers behind the report can be reused in other tools.
+ */
+
+const AnalysisExporter = {
+    SHEET_NAME_LIMIT: 31, // Excel's maximum sheet name length
+
+    QUESTION_COLUMNS: [
+        'Question', 'MC/ER', 'QPC', 'QPO', 'Max Mark', 'School Mean', 'State Mean',
+        'School Success %', 'State Success %', 'Difference (School - State)', 'Gap (% points)'
+    ],
+    GROUP_COLUMNS: [
+        'Items', 'Total Marks', 'School Mean (avg)', 'State Mean (avg)',
+        'School Success %', 'State Success %', 'Gap (% points)'
+    ],
+    // Appended to the question and QPC/QPO tables when the data has N/SD columns
+    STATS_COLUMNS: ['Effect Size (d)', `${Significance.CONFIDENCE}% CI Low`, `${Significance.CONFIDENCE}% CI High`, 'Significant'],
+    // Appended to the question table for data imported from a student marks matrix
+    ITEM_ANALYSIS_COLUMNS: ['Facility', 'Discrimination (D)', 'Point Biserial', 'Score Distribution'],
+    RANK_COLUMNS: ['Rank', 'Question', 'MC/ER', 'Max Mark', 'School Mean', 'State Mean', 'School Success %'],
+
+    // groupedData: { Subject: { Year: [rows] } }; ranking: top/bottom options (see Ranking)
+    createWorkbook(groupedData, ranking = Ranking.defaults()) {
+        const workbook = XLSX.utils.book_new();
+        const usedNames = [];
+        const summary = [];
+
+        Object.keys(groupedData).sort().forEach(subject => {
+            Object.keys(groupedData[subject]).sort().forEach(year => {
+                const rows = DataProcessor.sortQuestionsNaturally(groupedData[subject][year]);
+                summary.push(this.summaryRow(subject, year, rows));
+
+                const sheet = XLSX.utils.aoa_to_sheet(this.buildSubjectYearSheet(subject, year, rows, ranking));
+                sheet['!cols'] = [...this.QUESTION_COLUMNS, ...this.STATS_COLUMNS].map((c, idx) => ({ wch: idx === 0 ? 24 : Math.max(12, c.length + 2) }));
+                XLSX.utils.book_append_sheet(workbook, sheet, this.sheetName(subject, usedNames, ` ${year}`));
+            });
+        });
+
+        const summarySheet = XLSX.utils.json_to_sheet(summary);
+        summarySheet['!cols'] = Object.keys(summary[0] || {}).map(k => ({ wch: Math.max(10, k.length + 2) }));
+        XLSX.utils.book_append_sheet(workbook, summarySheet, this.sheetName('Summary', usedNames));
+
+        // Summary first
+        workbook.SheetNames.unshift(workbook.SheetNames.pop());
+        return workbook;
+    },
+
+    createBlob(groupedData, ranking) {
+        const data = XLSX.write(this.createWorkbook(groupedData, ranking), { bookType: 'xlsx', type: 'array' });
+        return new Blob([data], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+    },
+
+    filename(date = new Date()) {
+        return `HSC_Analysis_${date.toISOString().slice(0, 10)}.xlsx`;
+    },
+
+    // ---------------- SHEETS ---------------- //
+    summaryRow(subject, year, rows) {
+        const totals = this.totals(rows);
+        return {
+            'Subject': subject,
+            'Year': year,
+            'Items': rows.length,
+            'MC Items': rows.filter(r => r['MC/ER'] === 'MC').length,
+            'ER Items': rows.filter(r => r['MC/ER'] === 'ER').length,
+            'Total Marks': totals.max,
+            'School Total': this.round(totals.school),
+            'State Total': this.round(totals.state),
+            'School Success %': this.percent(totals.school, totals.max),
+            'State Success %': this.percent(totals.state, totals.max),
+            'Gap (% points)': this.gap(totals.school, totals.state, totals.max),
+            'Items Below State': rows.filter(r => r['School Mean (Item)'] < r['State Mean (Item)']).length
+        };
+    },
+
+    // One sheet per subject-year: question table, QPC/QPO aggregates, then the top/bottom lists
+    buildSubjectYearSheet(subject, year, rows, ranking = Ranking.defaults()) {
+        const aoa = [[`${subject} - ${year}`], []];
+        const hasStats = Significance.available(rows);
+        const statsHeader = hasStats ? this.STATS_COLUMNS : [];
+        const statsCells = (stats) => hasStats ? this.statsCells(stats) : [];
+        const hasItemAnalysis = ItemAnalysis.available(rows);
+
+        aoa.push(['Questions'], [...this.QUESTION_COLUMNS, ...statsHeader, ...(hasItemAnalysis ? this.ITEM_ANALYSIS_COLUMNS : [])]);
+        rows.forEach(r => aoa.push([
+            r['Question (Item)'],
+            r['MC/ER'] || '',
+            r['Question Per Content'] || '',
+            r['Question Per Outcome'] || '',
+            r['Max Mark (Item)'],
+            r['School Mean (Item)'],
+            r['State Mean (Item)'],
+            this.percent(r['School Mean (Item)'], r['Max Mark (Item)']),
+            this.percent(r['State Mean (Item)'], r['Max Mark (Item)']),
+            this.round(r['School Mean (Item)'] - r['State Mean (Item)']),
+            this.gap(r['School Mean (Item)'], r['State Mean (Item)'], r['Max Mark (Item)']),
+            ...statsCells(Significance.itemStats(r)),
+            ...(hasItemAnalysis ? this.itemAnalysisCells(r) : [])
+        ]));
+
+        if (hasItemAnalysis) {
+            const { students, alpha } = ItemAnalysis.summary(rows);
+            aoa.push([], ['Students', students], ["Reliability (Cronbach's alpha)", alpha === null ? '' : this.round(alpha)]);
+        }
+
+        [['Question Per Content', 'QPC'], ['Question Per Outcome', 'QPO']].forEach(([groupCol, short]) => {
+            const agg = ChartGenerator.aggregateData(rows, groupCol);
+            if (agg.length === 0) return;
+
+            aoa.push([], [`${short} Summary`], [short, ...this.GROUP_COLUMNS, ...statsHeader]);
+            agg.forEach(g => {
+                // aggregateData averages the means, so scale back up to totals for the rates
+                const count = g['Item Count'];
+                const school = g['School Mean (Item)'] * count;
+                const state = g['State Mean (Item)'] * count;
+                aoa.push([
+                    g[groupCol],
+                    count,
+                    g['Max Mark (Item)'],
+                    this.round(g['School Mean (Item)']),
+                    this.round(g['State Mean (Item)']),
+                    this.percent(school, g['Max Mark (Item)']),
+                    this.percent(state, g['Max Mark (Item)']),
+                    this.gap(school, state, g['Max Mark (Item)']),
+                    ...statsCells(g.significance)
+                ]);
+            });
+        });
+
+        const metric = Ranking.metric(ranking.metric);
+        Ranking.select(rows, ranking).forEach(group => {
+            const titles = Ranking.titles(group, ranking);
+            [[titles.top, group.top], [titles.bottom, group.bottom]].forEach(([title, list]) => {
+                aoa.push([], [`${title}, ranked by ${metric.label.toLowerCase()}`], [...this.RANK_COLUMNS, metric.label]);
+                list.forEach((r, idx) => aoa.push([
+                    idx + 1,
+                    r['Question (Item)'],
+                    r['MC/ER'] || '',
+                    r['Max Mark (Item)'],
+                    r['School Mean (Item)'],
+                    r['State Mean (Item)'],
+                    this.round(r.successRate),
+                    this.round(r.rankValue)
+                ]));
+            });
+        });
+
+        return aoa;
+    },
+
+    // ---------------- HELPERS ---------------- //
+    totals(rows) {
+        return rows.reduce((t, r) => ({
+            max: t.max + r['Max Mark (Item)'],
+            school: t.school + r['School Mean (Item)'],
+            state: t.state + r['State Mean (Item)']
+        }), { max: 0, school: 0, state: 0 });
+    },
+
+    statsCells(stats) {
+        if (!stats) return ['', '', '', ''];
+        return [this.round(stats.effectSize), this.round(stats.ciLow), this.round(stats.ciHigh), stats.significant ? 'Yes' : 'No'];
+    },
+
+    itemAnalysisCells(row) {
+        const value = (key) => row[key] === null || row[key] === undefined ? '' : this.round(row[key]);
+        return [value('Facility'), value('Discrimination'), value('Point Biserial'), ItemAnalysis.distributionText(row['Score Distribution'])];
+    },
+
+    percent(value, max) {
+        return max ? this.round((value / max) * 100) : null;
+    },
+
+    gap(school, state, max) {
+        return max ? this.round(((school - state) / max) * 100) : null;
+    },
+
+    round(value, digits = 2) {
+        const factor = Math.pow(10, digits);
+        return Math.round(value * factor) / factor;
+    },
+
+    // Excel sheet names: max 31 chars, no []:*?/\ and unique (case-insensitive).
+    // The base is shortened first so a trailing year survives.
+    sheetName(base, usedNames, suffix = '') {
+        const clean = (text) => String(text).replace(/[\[\]:*?\/\\]/g, '-');
+        const stem = clean(base).trim() || 'Sheet';
+        const tail = clean(suffix);
+        let name = stem.slice(0, this.SHEET_NAME_LIMIT - tail.length).trim() + tail;
+        for (let n = 2; usedNames.includes(name.toLowerCase()); n++) {
+            const counter = ` (${n})`;
+            name = stem.slice(0, this.SHEET_NAME_LIMIT - tail.length - counter.length).trim() + tail + counter;
+        }
+        usedNames.push(name.toLowerCase());
+        return name;
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) module.exports = AnalysisExporter;
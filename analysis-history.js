@@ -0,0 +1,380 @@
+/**
+ * Analysis History Module
+ * Past imports kept in IndexedDB: the cleaned rows (without question images), the data
+ * checks and the report settings, so an analysis survives a refresh. The panel on the
+ * upload step reopens, renames, deletes, compares and combines them.
+ */
+
+const AnalysisHistory = {
+    DB_NAME: 'hsc-insight',
+    DB_VERSION: 1,
+    // 'analyses' holds the small summary shown in the list; 'data' the rows, keyed by the same id
+    META_STORE: 'analyses',
+    DATA_STORE: 'data',
+
+    dbPromise: null,
+
+    state: {
+        entries: [], // Summaries, newest first
+        selected: new Set() // Ids ticked for compare / combine
+    },
+
+    elements: {},
+
+    // ---------------- STORAGE ---------------- //
+    available() {
+        return typeof indexedDB !== 'undefined';
+    },
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    db.createObjectStore(this.META_STORE, { keyPath: 'id', autoIncrement: true });
+                    db.createObjectStore(this.DATA_STORE, { keyPath: 'id' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    },
+
+    // Runs work(tx) in one transaction; resolves with the result of the request it returns
+    async transaction(stores, mode, work) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(stores, mode);
+            const request = work(tx);
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Saving the analysis was aborted'));
+        });
+    },
+
+    // Returns the new id
+    save({ name, files = [], processedData, config }) {
+        const stats = processedData.stats;
+        const meta = {
+            name,
+            files,
+            savedAt: new Date().toISOString(),
+            subjects: stats.subjects,
+            years: [...new Set(processedData.raw.map(r => String(r['Year'])))].sort(),
+            rowCount: stats.validRows
+        };
+        const data = {
+            // Images stay in the workbook; class rows rebuild the class breakdown on restore
+            rows: [...processedData.raw, ...processedData.classRows].map(({ _image, ...row }) => row),
+            issues: processedData.issues,
+            config
+        };
+
+        return this.transaction([this.META_STORE, this.DATA_STORE], 'readwrite', (tx) => {
+            const request = tx.objectStore(this.META_STORE).add(meta);
+            request.onsuccess = () => tx.objectStore(this.DATA_STORE).put({ id: request.result, ...data });
+            return request;
+        });
+    },
+
+    async list() {
+        const entries = await this.transaction([this.META_STORE], 'readonly', (tx) => tx.objectStore(this.META_STORE).getAll());
+        return entries.sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+    },
+
+    // -> { rows, issues, config } or undefined
+    load(id) {
+        return this.transaction([this.DATA_STORE], 'readonly', (tx) => tx.objectStore(this.DATA_STORE).get(id));
+    },
+
+    async rename(id, name) {
+        const meta = await this.transaction([this.META_STORE], 'readonly', (tx) => tx.objectStore(this.META_STORE).get(id));
+        if (!meta) return;
+        meta.name = name;
+        await this.transaction([this.META_STORE], 'readwrite', (tx) => tx.objectStore(this.META_STORE).put(meta));
+    },
+
+    async updateConfig(id, config) {
+        const data = await this.load(id);
+        if (!data) return;
+        data.config = config;
+        await this.transaction([this.DATA_STORE], 'readwrite', (tx) => tx.objectStore(this.DATA_STORE).put(data));
+    },
+
+    remove(id) {
+        return this.transaction([this.META_STORE, this.DATA_STORE], 'readwrite', (tx) => {
+            tx.objectStore(this.META_STORE).delete(id);
+            tx.objectStore(this.DATA_STORE).delete(id);
+        });
+    },
+
+    // ---------------- DATA ---------------- //
+    // Stored rows are already clean, so processData only regroups them; the original checks are kept
+    restore(data) {
+        return { ...DataProcessor.processData(data.rows), issues: data.issues || [] };
+    },
+
+    // Rows of several saved analyses as one dataset. A subject-year found in more than one
+    // comes from the newest only, so re-uploads don't double up. entries: [{ meta, data }]
+    combineRows(entries) {
+        const taken = new Set();
+        const rows = [];
+        [...entries]
+            .sort((a, b) => b.meta.savedAt.localeCompare(a.meta.savedAt))
+            .forEach(({ data }) => {
+                const added = new Set();
+                data.rows.forEach(row => {
+                    const key = `${row['Subject']}|${row['Year']}`;
+                    if (taken.has(key)) return;
+                    added.add(key);
+                    rows.push(row);
+                });
+                added.forEach(key => taken.add(key));
+            });
+        return rows;
+    },
+
+    // Success rate per subject-year in two analyses:
+    // [{ subject, year, a: totals | null, b: totals | null }], totals as InsightGenerator.totals
+    compare(rowsA, rowsB) {
+        const byKey = (rows) => {
+            const groups = {};
+            rows.filter(r => r['Max Mark (Item)'] > 0).forEach(r => {
+                const key = `${r['Subject']}|${r['Year']}`;
+                if (!groups[key]) groups[key] = [];
+                groups[key].push(r);
+            });
+            return groups;
+        };
+        const a = byKey(rowsA);
+        const b = byKey(rowsB);
+
+        return [...new Set([...Object.keys(a), ...Object.keys(b)])]
+            .map(key => {
+                const idx = key.lastIndexOf('|');
+                return {
+                    subject: key.slice(0, idx),
+                    year: key.slice(idx + 1),
+                    a: a[key] ? InsightGenerator.totals(a[key]) : null,
+                    b: b[key] ? InsightGenerator.totals(b[key]) : null
+                };
+            })
+            .sort((x, y) => x.subject.localeCompare(y.subject) || x.year.localeCompare(y.year));
+    },
+
+    // ---------------- PANEL ---------------- //
+    // onOpen(processedData, config, id) shows an analysis; config is null when none was saved
+    init(onOpen) {
+        this.onOpen = onOpen;
+        this.elements = {
+            panel: document.getElementById('history-panel'),
+            tableBody: document.querySelector('#history-table tbody'),
+            compare: document.getElementById('btn-history-compare'),
+            combine: document.getElementById('btn-history-combine'),
+            comparison: document.getElementById('history-comparison')
+        };
+
+        this.elements.compare.addEventListener('click', () => this.compareSelected());
+        this.elements.combine.addEventListener('click', () => this.combineSelected());
+        this.refresh();
+    },
+
+    async refresh() {
+        if (!this.available()) return;
+        try {
+            this.state.entries = await this.list();
+        } catch (err) {
+            console.warn('Analysis history unavailable:', err);
+            return;
+        }
+        const ids = new Set(this.state.entries.map(e => e.id));
+        this.state.selected = new Set([...this.state.selected].filter(id => ids.has(id)));
+        this.render();
+    },
+
+    // Saves a new import and lists it; resolves to its id (null when history is unavailable)
+    async record(options) {
+        if (!this.available()) return null;
+        try {
+            const id = await this.save(options);
+            await this.refresh();
+            return id;
+        } catch (err) {
+            console.warn('Could not save the analysis to history:', err);
+            return null;
+        }
+    },
+
+    render() {
+        const { panel, tableBody, compare, combine } = this.elements;
+        panel.classList.toggle('hidden', this.state.entries.length === 0);
+        tableBody.innerHTML = '';
+
+        this.state.entries.forEach(entry => {
+            const tr = document.createElement('tr');
+
+            const pick = document.createElement('td');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = this.state.selected.has(entry.id);
+            checkbox.setAttribute('aria-label', `Select ${entry.name}`);
+            checkbox.addEventListener('change', () => {
+                if (checkbox.checked) this.state.selected.add(entry.id);
+                else this.state.selected.delete(entry.id);
+                this.updateButtons();
+            });
+            pick.appendChild(checkbox);
+            tr.appendChild(pick);
+
+            [
+                entry.name,
+                entry.subjects.length <= 3 ? entry.subjects.join(', ') : `${entry.subjects.length} subjects`,
+                entry.years.join(', '),
+                String(entry.rowCount),
+                new Date(entry.savedAt).toLocaleString()
+            ].forEach(text => {
+                const td = document.createElement('td');
+                td.innerText = text;
+                tr.appendChild(td);
+            });
+
+            const actions = document.createElement('td');
+            actions.className = 'history-actions';
+            [
+                ['fa-folder-open', 'Open', () => this.openEntry(entry)],
+                ['fa-pen', 'Rename', () => this.renameEntry(entry)],
+                ['fa-trash', 'Delete', () => this.deleteEntry(entry)]
+            ].forEach(([icon, text, handler]) => {
+                const btn = document.createElement('button');
+                btn.className = 'btn btn-secondary btn-icon';
+                btn.title = text;
+                btn.innerHTML = `<i class="fa-solid ${icon}"></i>`;
+                btn.addEventListener('click', handler);
+                actions.appendChild(btn);
+            });
+            tr.appendChild(actions);
+
+            tableBody.appendChild(tr);
+        });
+
+        this.updateButtons();
+    },
+
+    updateButtons() {
+        this.elements.compare.disabled = this.state.selected.size !== 2;
+        this.elements.combine.disabled = this.state.selected.size < 2;
+    },
+
+    async openEntry(entry) {
+        try {
+            const data = await this.load(entry.id);
+            if (!data) throw new Error('The saved data is missing');
+            this.onOpen(this.restore(data), data.config || null, entry.id);
+        } catch (err) {
+            console.error(err);
+            alert(`Could not open "${entry.name}": ${err.message}`);
+        }
+    },
+
+    async renameEntry(entry) {
+        const name = prompt('Name for this analysis:', entry.name);
+        if (!name || !name.trim()) return;
+        try {
+            await this.rename(entry.id, name.trim());
+        } catch (err) {
+            console.error(err);
+            alert(`Could not rename "${entry.name}": ${err.message}`);
+        }
+        await this.refresh();
+    },
+
+    async deleteEntry(entry) {
+        if (!confirm(`Delete "${entry.name}" from this browser?`)) return;
+        try {
+            await this.remove(entry.id);
+            this.state.selected.delete(entry.id);
+        } catch (err) {
+            console.error(err);
+            alert(`Could not delete "${entry.name}": ${err.message}`);
+        }
+        await this.refresh();
+    },
+
+    selectedEntries() {
+        return this.state.entries.filter(e => this.state.selected.has(e.id));
+    },
+
+    async combineSelected() {
+        const metas = this.selectedEntries();
+        try {
+            const entries = await Promise.all(metas.map(async meta => ({ meta, data: await this.load(meta.id) })));
+            const processedData = DataProcessor.processData(this.combineRows(entries.filter(e => e.data)));
+            const name = `Combined: ${metas.map(m => m.name).join(' + ')}`;
+            const id = await this.record({ name, files: metas.flatMap(m => m.files), processedData, config: null });
+            this.onOpen(processedData, null, id);
+        } catch (err) {
+            console.error(err);
+            alert(`Could not combine the analyses: ${err.message}`);
+        }
+    },
+
+    async compareSelected() {
+        // Oldest first, so "change" reads as later minus earlier
+        const [metaA, metaB] = this.selectedEntries().sort((a, b) => a.savedAt.localeCompare(b.savedAt));
+        try {
+            const [dataA, dataB] = await Promise.all([this.load(metaA.id), this.load(metaB.id)]);
+            this.renderComparison(metaA, metaB, this.compare(dataA.rows, dataB.rows));
+        } catch (err) {
+            console.error(err);
+            alert(`Could not compare the analyses: ${err.message}`);
+        }
+    },
+
+    renderComparison(metaA, metaB, rows) {
+        const container = this.elements.comparison;
+        container.innerHTML = '';
+
+        const heading = document.createElement('h4');
+        heading.innerText = `${metaA.name} vs ${metaB.name}`;
+        container.appendChild(heading);
+
+        const table = document.createElement('table');
+        table.className = 'data-table';
+        const headRow = document.createElement('tr');
+        ['Subject', 'Year', `School % (${metaA.name})`, `School % (${metaB.name})`, 'Change', 'Gap to state (before → after)']
+            .forEach(text => {
+                const th = document.createElement('th');
+                th.innerText = text;
+                headRow.appendChild(th);
+            });
+        const thead = document.createElement('thead');
+        thead.appendChild(headRow);
+        table.appendChild(thead);
+
+        const tbody = document.createElement('tbody');
+        const pct = (t) => t ? t.school.toFixed(1) : '-';
+        const gap = (t) => t ? InsightGenerator.points(t.gap) : '-';
+        rows.forEach(({ subject, year, a, b }) => {
+            const tr = document.createElement('tr');
+            [
+                subject, year, pct(a), pct(b),
+                a && b ? InsightGenerator.points(b.school - a.school) : '-',
+                `${gap(a)} → ${gap(b)}`
+            ].forEach(text => {
+                const td = document.createElement('td');
+                td.innerText = text;
+                tr.appendChild(td);
+            });
+            tbody.appendChild(tr);
+        });
+        table.appendChild(tbody);
+
+        const wrapper = document.createElement('div');
+        wrapper.className = 'table-container';
+        wrapper.appendChild(table);
+        container.appendChild(wrapper);
+        container.classList.remove('hidden');
+    }
+};
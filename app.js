@@ -6,9 +6,16 @@
 const App = {
     state: {
         currentStep: 1,
-        rawData: null,
+        pendingSources: [], // [{ name, sheets }] read by ImportClient, awaiting a sheet choice
+        pendingImport: null, // { selections, headers } awaiting a column mapping
         processedData: null,
+        sources: [], // File names behind the current data, for writing images back
+        historyId: null, // AnalysisHistory entry for the current data
         generatedCharts: [],
+        reportPages: null, // { Subject: [pages] } from the last generate, for the combined PDF
+        reportGrouped: null, // { Subject: { Year: [rows] } } included in the last generate
+        combinedPdf: null,
+        overviewPdf: null,
         theme: 'dark'
     },
 
@@ -17,21 +24,32 @@ const App = {
         sections: {
             upload: document.getElementById('section-upload'),
             review: document.getElementById('section-review'),
+            dashboard: document.getElementById('section-dashboard'),
             generate: document.getElementById('section-generate'),
             download: document.getElementById('section-download')
         },
         dropZone: document.getElementById('drop-zone'),
         fileInput: document.getElementById('file-input'),
+        importProgress: document.getElementById('import-progress'),
         themeBtn: document.getElementById('theme-btn'),
         btns: {
             backUpload: document.getElementById('btn-back-upload'),
+            explore: document.getElementById('btn-explore'),
+            backReview: document.getElementById('btn-back-review'),
             generate: document.getElementById('btn-generate'),
             startOver: document.getElementById('btn-start-over'),
             download: document.getElementById('btn-download')
         }
     },
 
+    // Section shown for each step number (1-based, matches .step order)
+    STEP_SECTIONS: ['upload', 'review', 'dashboard', 'generate', 'download'],
+
     init() {
+        Dashboard.init();
+        QuestionGallery.init();
+        ImageEmbedder.init(() => QuestionGallery.load(this.state.processedData));
+        AnalysisHistory.init((processedData, config, id) => this.openAnalysis(processedData, config, id));
         this.addEventListeners();
         this.checkTheme();
     },
@@ -59,13 +77,14 @@ const App = {
         this.elements.dropZone.addEventListener('drop', (e) => {
             e.preventDefault();
             this.elements.dropZone.classList.remove('dragover');
-            const file = e.dataTransfer.files[0];
-            if (file) this.handleFile(file);
+            const files = Array.from(e.dataTransfer.files);
+            if (files.length > 0) this.handleFiles(files);
         });
 
         this.elements.fileInput.addEventListener('change', (e) => {
-            const file = e.target.files[0];
-            if (file) this.handleFile(file);
+            const files = Array.from(e.target.files);
+            if (files.length > 0) this.handleFiles(files);
+            e.target.value = ''; // Allow re-selecting the same file
         });
 
         // Template Download
@@ -76,33 +95,149 @@ const App = {
             });
         }
 
+        document.getElementById('btn-import-cancel').addEventListener('click', () => ImportClient.cancel());
+
+        // Sheet Picker
+        document.getElementById('sheet-merge').addEventListener('change', (e) => {
+            document.getElementById('sheet-select').disabled = e.target.checked;
+        });
+        document.getElementById('btn-sheet-cancel').addEventListener('click', () => this.hideSheetPicker());
+        document.getElementById('btn-sheet-continue').addEventListener('click', () => {
+            const merge = document.getElementById('sheet-merge').checked;
+            const selections = merge
+                ? this.state.pendingSources.map((source, idx) => ({ source: idx, sheets: source.sheets }))
+                : [this.parseSheetOption(document.getElementById('sheet-select').value)];
+            this.hideSheetPicker();
+            this.importSheets(selections);
+        });
+
+        // Column Mapper
+        document.getElementById('btn-mapping-cancel').addEventListener('click', () => {
+            this.state.pendingImport = null;
+            this.hideColumnMapper();
+        });
+        document.getElementById('btn-mapping-continue').addEventListener('click', () => {
+            const { selections, headers } = this.state.pendingImport;
+            const mapping = this.readColumnMapper();
+            DataProcessor.rememberMapping(headers, mapping);
+            this.state.pendingImport = null;
+            this.hideColumnMapper();
+            this.parseSelections(selections, mapping);
+        });
+
+        // Validation Report
+        document.getElementById('btn-download-validation').addEventListener('click', () => {
+            const csv = DataValidator.toCSV(this.state.processedData.issues);
+            this.downloadBlob(new Blob([csv], { type: 'text/csv' }), 'hsc-data-checks.csv');
+        });
+
         // Navigation
         this.elements.btns.backUpload.addEventListener('click', () => this.goToStep(1));
 
-        this.elements.btns.generate.addEventListener('click', async () => {
+        this.elements.btns.explore.addEventListener('click', () => {
             this.goToStep(3);
+            Dashboard.load(this.state.processedData);
+            ReportConfig.renderPanel(document.getElementById('report-config-panel'), this.state.processedData, (config) => {
+                // Settings travel with the saved analysis
+                if (this.state.historyId) {
+                    AnalysisHistory.updateConfig(this.state.historyId, config)
+                        .catch(err => console.warn('Could not save settings to history:', err));
+                }
+            });
+            Branding.renderPanel(document.getElementById('branding-panel'));
+        });
+
+        this.elements.btns.backReview.addEventListener('click', () => this.goToStep(2));
+
+        document.getElementById('btn-export-analysis').addEventListener('click', () => {
+            this.exportAnalysis(this.state.processedData.grouped, ReportConfig.load().ranking);
+        });
+
+        this.elements.btns.generate.addEventListener('click', async () => {
+            const config = ReportConfig.load();
+            if (Object.keys(ReportConfig.filterGrouped(this.state.processedData.grouped, config)).length === 0) {
+                alert('Select at least one subject and year to include in the report.');
+                return;
+            }
+
+            Dashboard.destroy(); // Free the live chart before rendering the report off-screen
+            this.goToStep(4);
             await this.generateReport();
         });
 
+        document.getElementById('btn-generate-cancel').addEventListener('click', () => ChartRenderer.cancel());
+
         this.elements.btns.startOver.addEventListener('click', () => {
             location.reload(); // Simple reset
         });
 
-        this.elements.btns.download.addEventListener('click', () => {
-            if (window.generatedPdfBlobs && window.generatedPdfBlobs.length > 0) {
+        this.elements.btns.download.addEventListener('click', async () => {
+            const mode = document.querySelector('input[name="output-mode"]:checked').value;
+            await this.downloadReports(mode);
+        });
+    },
+
+    // mode: 'separate' (one file per subject), 'zip' (bundle + manifest), 'combined' (one PDF),
+    // 'overview' (cross-subject PDF) or 'analysis' (Excel workbook of the numbers)
+    async downloadReports(mode) {
+        const pdfBlobs = window.generatedPdfBlobs || [];
+        if (pdfBlobs.length === 0) return;
+
+        const btn = this.elements.btns.download;
+        const label = btn.innerHTML;
+        btn.disabled = true;
+
+        try {
+            if (mode === 'zip') {
+                btn.innerHTML = '<i class="fa-solid fa-spinner fa-spin"></i> Building ZIP...';
+                const zip = await ExportBundler.createZip(pdfBlobs);
+                this.downloadBlob(zip, ExportBundler.zipFilename());
+            } else if (mode === 'overview') {
+                if (!this.state.overviewPdf) {
+                    btn.innerHTML = '<i class="fa-solid fa-spinner fa-spin"></i> Building PDF...';
+                    this.state.overviewPdf = await SchoolOverview.createPDF(this.state.reportGrouped);
+                }
+                this.downloadBlob(this.state.overviewPdf, SchoolOverview.filename());
+            } else if (mode === 'analysis') {
+                this.exportAnalysis(this.state.reportGrouped, ReportConfig.load().ranking);
+            } else if (mode === 'combined') {
+                // Built on first request only; it repeats every page of every subject
+                if (!this.state.combinedPdf) {
+                    btn.innerHTML = '<i class="fa-solid fa-spinner fa-spin"></i> Building PDF...';
+                    this.state.combinedPdf = await PdfGenerator.createCombinedPDF(this.state.reportPages);
+                }
+                this.downloadBlob(this.state.combinedPdf, 'HSC_Analysis_Whole_School.pdf');
+            } else {
                 // Download all PDFs
-                window.generatedPdfBlobs.forEach(pdfData => {
-                    const url = window.URL.createObjectURL(pdfData.blob);
-                    const a = document.createElement('a');
-                    a.href = url;
-                    a.download = pdfData.filename;
-                    document.body.appendChild(a);
-                    a.click();
-                    document.body.removeChild(a);
-                    window.URL.revokeObjectURL(url);
-                });
+                pdfBlobs.forEach(pdfData => this.downloadBlob(pdfData.blob, pdfData.filename));
             }
-        });
+        } catch (error) {
+            console.error(error);
+            alert('Error preparing download: ' + error.message);
+        } finally {
+            btn.innerHTML = label;
+            btn.disabled = false;
+        }
+    },
+
+    exportAnalysis(groupedData, ranking) {
+        try {
+            this.downloadBlob(AnalysisExporter.createBlob(groupedData, ranking), AnalysisExporter.filename());
+        } catch (error) {
+            console.error(error);
+            alert('Error exporting analysis: ' + error.message);
+        }
+    },
+
+    downloadBlob(blob, filename) {
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        window.URL.revokeObjectURL(url);
     },
 
     checkTheme() {
@@ -122,19 +257,11 @@ const App = {
         // Update Sections
         Object.values(this.elements.sections).forEach(el => el.classList.add('hidden'));
 
-        if (step === 1) {
-            this.elements.sections.upload.classList.remove('hidden');
-            this.elements.sections.upload.classList.add('active-section');
-        } else if (step === 2) {
-            this.elements.sections.review.classList.remove('hidden');
-            this.elements.sections.review.classList.add('active-section');
-        } else if (step === 3) {
-            this.elements.sections.generate.classList.remove('hidden');
-            this.elements.sections.generate.classList.add('active-section');
-        } else if (step === 4) {
-            this.elements.sections.download.classList.remove('hidden');
-            this.elements.sections.download.classList.add('active-section');
+        const section = this.elements.sections[this.STEP_SECTIONS[step - 1]];
+        section.classList.remove('hidden');
+        section.classList.add('active-section');
 
+        if (step === 5) {
             // Update PDF count display
             if (window.generatedPdfBlobs && window.generatedPdfBlobs.length > 0) {
                 const countDisplay = document.getElementById('pdf-count-display');
@@ -145,25 +272,228 @@ const App = {
         }
     },
 
-    async handleFile(file) {
-        if (!file.name.endsWith('.xlsx')) {
-            alert('Please upload a valid .xlsx file');
+    async handleFiles(files) {
+        const unsupported = files.filter(f => !DataProcessor.isSupportedFile(f));
+        if (unsupported.length > 0) {
+            alert(`Please upload ${DataProcessor.SUPPORTED_EXTENSIONS.join(', ')} files only (not ${unsupported.map(f => f.name).join(', ')})`);
             return;
         }
 
+        let sources;
+        try {
+            sources = await ImportClient.read(files, (fraction, message) => this.showImportProgress(fraction, message));
+        } catch (error) {
+            this.importFailed(error);
+            return;
+        }
+        this.state.pendingSources = sources;
+
+        // Several sheets (or several files): let the user pick one or merge them all
+        const sheetCount = sources.reduce((n, src) => n + src.sheets.length, 0);
+        if (sheetCount > 1) {
+            this.hideImportProgress();
+            this.showSheetPicker(sources);
+            return;
+        }
+
+        await this.importSheets([{ source: 0, sheets: sources[0].sheets }]);
+    },
+
+    // Progress panel in place of the drop zone while ImportClient works
+    showImportProgress(fraction, message) {
+        this.elements.dropZone.classList.add('hidden');
+        this.elements.importProgress.classList.remove('hidden');
+        document.getElementById('import-status').innerText = message;
+        document.getElementById('import-progress-bar').style.width = `${Math.round(fraction * 100)}%`;
+    },
+
+    hideImportProgress() {
+        this.elements.importProgress.classList.add('hidden');
+        this.elements.dropZone.classList.remove('hidden');
+    },
+
+    importFailed(error) {
+        this.hideImportProgress();
+        this.state.pendingSources = [];
+        if (ImportClient.isCancelled(error)) return;
+        console.error(error);
+        alert('Error processing file: ' + error.message);
+    },
+
+    showSheetPicker(sources) {
+        const select = document.getElementById('sheet-select');
+        const merge = document.getElementById('sheet-merge');
+        select.innerHTML = '';
+
+        sources.forEach((source, idx) => {
+            source.sheets.forEach(sheetName => {
+                const option = document.createElement('option');
+                option.value = `${idx}|${sheetName}`;
+                option.innerText = sources.length > 1 ? `${source.name} › ${sheetName}` : sheetName;
+                select.appendChild(option);
+            });
+        });
+
+        // Dropping several files at once almost always means "combine them"
+        merge.checked = sources.length > 1;
+        select.disabled = merge.checked;
+        document.getElementById('sheet-picker').classList.remove('hidden');
+    },
+
+    hideSheetPicker() {
+        document.getElementById('sheet-picker').classList.add('hidden');
+    },
+
+    parseSheetOption(value) {
+        const sep = value.indexOf('|');
+        return {
+            source: parseInt(value.slice(0, sep)),
+            sheets: [value.slice(sep + 1)]
+        };
+    },
+
+    // selections: [{ source: index into pendingSources, sheets: [names] }]
+    async importSheets(selections) {
+        // One mapping covers every chosen sheet, so gather all of their headers
+        let headers, samples;
         try {
-            console.log('Processing file:', file.name);
-            const data = await DataProcessor.loadAndParse(file);
-            this.state.rawData = data;
-            this.state.processedData = DataProcessor.processData(data);
+            ({ headers, samples } = await ImportClient.inspect(selections, (fraction, message) => this.showImportProgress(fraction, message)));
+        } catch (error) {
+            this.importFailed(error);
+            return;
+        }
+
+        // Only marks matrices (see ItemAnalysis): nothing to map
+        if (headers.length === 0) {
+            await this.parseSelections(selections, {});
+            return;
+        }
+
+        const remembered = DataProcessor.rememberedMapping(headers);
+        const mapping = remembered || DataProcessor.suggestMapping(headers);
+
+        // The standard template needs no mapping step
+        if (!remembered && DataProcessor.isStandardMapping(mapping)) {
+            await this.parseSelections(selections, mapping);
+            return;
+        }
 
-            this.updateReviewSection();
-            this.goToStep(2);
+        this.hideImportProgress();
+        this.state.pendingImport = { selections, headers };
+        this.showColumnMapper(headers, samples, mapping, !!remembered);
+    },
 
+    showColumnMapper(headers, samples, mapping, remembered) {
+        const tbody = document.querySelector('#mapping-table tbody');
+        tbody.innerHTML = '';
+
+        DataProcessor.FIELDS.forEach(field => {
+            const tr = document.createElement('tr');
+
+            const labelCell = document.createElement('td');
+            labelCell.innerText = field.label + (field.required ? ' *' : '');
+            tr.appendChild(labelCell);
+
+            const selectCell = document.createElement('td');
+            const select = document.createElement('select');
+            select.dataset.field = field.key;
+            const none = document.createElement('option');
+            none.value = '';
+            none.innerText = field.key === 'Subject' ? '— not in file (use sheet/file name) —' : '— not in file —';
+            select.appendChild(none);
+            headers.forEach(h => {
+                const option = document.createElement('option');
+                option.value = h;
+                option.innerText = h;
+                select.appendChild(option);
+            });
+            select.value = mapping[field.key] || '';
+            selectCell.appendChild(select);
+            tr.appendChild(selectCell);
+
+            const sampleCell = document.createElement('td');
+            sampleCell.className = 'sub-text';
+            const showSample = () => {
+                sampleCell.innerText = select.value ? (samples[select.value] || '(blank)') : '';
+            };
+            select.addEventListener('change', () => {
+                showSample();
+                this.checkColumnMapper();
+            });
+            showSample();
+            tr.appendChild(sampleCell);
+
+            tbody.appendChild(tr);
+        });
+
+        document.getElementById('mapping-intro').innerText = remembered
+            ? 'Using the mapping you saved for these columns. Check it and continue.'
+            : 'Some column names were not recognised. Check which column holds each field.';
+        this.checkColumnMapper();
+        document.getElementById('column-mapper').classList.remove('hidden');
+    },
+
+    readColumnMapper() {
+        const mapping = {};
+        document.querySelectorAll('#mapping-table select').forEach(select => {
+            if (select.value) mapping[select.dataset.field] = select.value;
+        });
+        return mapping;
+    },
+
+    checkColumnMapper() {
+        const missing = DataProcessor.missingRequiredFields(this.readColumnMapper());
+        const warning = document.getElementById('mapping-warning');
+        warning.innerText = missing.length > 0 ? `Still needed: ${missing.join(', ')}` : '';
+        document.getElementById('btn-mapping-continue').disabled = missing.length > 0;
+    },
+
+    hideColumnMapper() {
+        document.getElementById('column-mapper').classList.add('hidden');
+    },
+
+    async parseSelections(selections, mapping) {
+        let processedData;
+        try {
+            processedData = await ImportClient.parse(selections, mapping, (fraction, message) => this.showImportProgress(fraction, message));
         } catch (error) {
-            console.error(error);
-            alert('Error processing file: ' + error.message);
+            this.importFailed(error);
+            return;
         }
+
+        this.hideImportProgress();
+        this.state.sources = [...new Set(selections.map(s => this.state.pendingSources[s.source].name))];
+        this.state.pendingSources = [];
+        this.state.processedData = processedData;
+
+        this.state.historyId = null;
+
+        if (processedData.stats.validRows === 0) {
+            alert('No usable rows were found. Check the sheet has Subject, Year and Question (Item) columns.');
+            return;
+        }
+
+        const files = this.state.sources;
+        AnalysisHistory.record({
+            name: files.map(name => DataProcessor.fileBaseName({ name })).join(', '),
+            files,
+            processedData,
+            config: ReportConfig.load()
+        }).then(id => this.state.historyId = id);
+
+        this.updateReviewSection();
+        this.goToStep(2);
+    },
+
+    // A saved analysis from the history panel. No workbook is loaded behind it,
+    // so question images can't be shown or embedded until the file is uploaded again.
+    openAnalysis(processedData, config, id) {
+        if (config) ReportConfig.save(ReportConfig.normalize(config));
+        this.state.processedData = processedData;
+        this.state.sources = [];
+        this.state.historyId = id;
+        this.updateReviewSection();
+        this.goToStep(2);
     },
 
     updateReviewSection() {
@@ -184,45 +514,110 @@ const App = {
             tag.innerText = sub;
             tagsContainer.appendChild(tag);
         });
+
+        this.updateValidationReport();
+        QuestionGallery.load(this.state.processedData);
+        ImageEmbedder.load(this.state.processedData, this.state.sources);
+    },
+
+    updateValidationReport() {
+        const issues = this.state.processedData.issues;
+        const { errors, warnings } = DataValidator.summarize(issues);
+
+        const badge = document.getElementById('data-status');
+        badge.classList.remove('success', 'warning', 'error');
+        if (errors > 0) {
+            badge.classList.add('error');
+            badge.innerText = `${errors} Error(s)`;
+        } else if (warnings > 0) {
+            badge.classList.add('warning');
+            badge.innerText = `${warnings} Warning(s)`;
+        } else {
+            badge.classList.add('success');
+            badge.innerText = 'Valid Data';
+        }
+
+        const report = document.getElementById('validation-report');
+        report.classList.toggle('hidden', issues.length === 0);
+        document.getElementById('validation-summary').innerText =
+            `${errors} error(s) and ${warnings} warning(s). Fix them in your spreadsheet and upload again, or continue as is.`;
+
+        const tbody = document.querySelector('#validation-table tbody');
+        tbody.innerHTML = '';
+        issues.forEach(issue => {
+            const tr = document.createElement('tr');
+            tr.className = `issue-${issue.severity}`;
+            [issue.sheet, issue.row, issue.question, issue.field, issue.value, issue.reason].forEach(val => {
+                const td = document.createElement('td');
+                td.innerText = val;
+                tr.appendChild(td);
+            });
+            tbody.appendChild(tr);
+        });
     },
 
     async generateReport() {
         const progressBar = document.getElementById('generation-progress');
         const statusText = document.getElementById('generation-status');
+        const cancelBtn = document.getElementById('btn-generate-cancel');
 
         try {
             // 1. Generate Charts
             statusText.innerText = "Generating Visualizations...";
-            progressBar.style.width = "30%";
+            progressBar.style.width = "5%";
+            cancelBtn.classList.remove('hidden');
 
             // Wait a tick to allow UI to update
             await new Promise(r => setTimeout(r, 100));
 
+            // Report builder: chosen subjects/years and sections
+            const config = ReportConfig.load();
+            Branding.use(Branding.load()); // Title page, footers and chart colours
+            const reportData = {
+                ...this.state.processedData,
+                grouped: ReportConfig.filterGrouped(this.state.processedData.grouped, config)
+            };
+
             const chartImages = await ChartGenerator.createAllCharts(
-                this.state.processedData.grouped,
-                (progress) => {
-                    // Update progress from chart generator if implemented
-                }
+                reportData.grouped,
+                (done, total, page) => {
+                    // Charts take most of the time, so they fill the bar up to 70%
+                    progressBar.style.width = `${5 + Math.round(65 * done / Math.max(total, 1))}%`;
+                    statusText.innerText = page
+                        ? `Rendering chart ${done + 1} of ${total}: ${page.title}`
+                        : `Rendered ${total} charts`;
+                },
+                config,
+                reportData.classes
             );
 
+            cancelBtn.classList.add('hidden'); // PDF assembly is quick by comparison
             progressBar.style.width = "70%";
             statusText.innerText = "Compiling PDF Reports (per subject)...";
             await new Promise(r => setTimeout(r, 100));
 
             // 2. Generate PDFs (now returns array of {subject, blob, filename})
-            const pdfBlobs = await PdfGenerator.createPDF(chartImages, this.state.processedData);
+            const pdfBlobs = await PdfGenerator.createPDF(chartImages, reportData, config);
             window.generatedPdfBlobs = pdfBlobs; // Store array
+            this.state.reportPages = PdfGenerator.collectPages(chartImages, reportData, config);
+            this.state.reportGrouped = reportData.grouped;
+            this.state.combinedPdf = null;
+            this.state.overviewPdf = null;
 
             progressBar.style.width = "100%";
             statusText.innerText = `Done! Generated ${pdfBlobs.length} PDF(s)`;
 
             await new Promise(r => setTimeout(r, 500));
-            this.goToStep(4);
+            this.goToStep(5);
 
         } catch (error) {
-            console.error(error);
-            alert("Error generating report: " + error.message);
-            this.goToStep(2); // Go back to review
+            cancelBtn.classList.add('hidden');
+            if (!ChartRenderer.isCancelled(error)) {
+                console.error(error);
+                alert("Error generating report: " + error.message);
+            }
+            this.goToStep(3); // Go back to the dashboard
+            Dashboard.load(this.state.processedData);
         }
     }
 };
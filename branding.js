@@ -0,0 +1,230 @@
+/**
+ * Branding Module
+ * School name, logo, report title, prepared-by, date, colours and font for the PDFs: the title
+ * page and footers (PdfGenerator) and the chart colours (ChartGenerator.THEME). Persisted to
+ * localStorage like the report config, and exported / imported as a JSON preset to share.
+ */
+
+const Branding = {
+    STORAGE_KEY: 'hsc-insight-branding',
+    VERSION: 1,
+    MAX_LOGO_BYTES: 512 * 1024, // The logo is kept in localStorage as a data URL
+    MAX_TEXT_LENGTH: 120,
+
+    // jsPDF's built-in fonts, with the nearest font stack for the charts
+    FONTS: [
+        { id: 'helvetica', label: 'Helvetica (sans serif)', chart: "'Outfit', 'Helvetica Neue', 'Helvetica', 'Arial', sans-serif" },
+        { id: 'times', label: 'Times (serif)', chart: "'Times New Roman', 'Times', serif" },
+        { id: 'courier', label: 'Courier (monospace)', chart: "'Courier New', 'Courier', monospace" }
+    ],
+
+    current: null, // Settings in use for the next report (see use)
+
+    defaults() {
+        return {
+            version: this.VERSION,
+            schoolName: '',
+            reportTitle: 'HSC Analysis Report - HSC Insight 2026',
+            preparedBy: '',
+            date: '', // YYYY-MM-DD; empty prints the day the report is generated
+            primaryColor: '#4C72B0', // Bars, headings
+            accentColor: '#DD1C77', // Success rate lines
+            font: 'helvetica',
+            logo: null // PNG or JPEG data URL
+        };
+    },
+
+    // Text is trimmed and capped; a colour that isn't #RRGGBB, a date that isn't YYYY-MM-DD, an unknown font
+    // or a logo that isn't a PNG / JPEG data URL falls back to the default
+    normalize(settings) {
+        const base = this.defaults();
+        if (!settings || typeof settings !== 'object') return base;
+
+        const text = (value, fallback) => typeof value === 'string' ? value.trim().slice(0, this.MAX_TEXT_LENGTH) : fallback;
+        const color = (value, fallback) => /^#[0-9a-f]{6}$/i.test(value) ? value.toUpperCase() : fallback;
+
+        return {
+            version: this.VERSION,
+            schoolName: text(settings.schoolName, base.schoolName),
+            reportTitle: text(settings.reportTitle, '') || base.reportTitle,
+            preparedBy: text(settings.preparedBy, base.preparedBy),
+            date: /^\d{4}-\d{2}-\d{2}$/.test(settings.date) ? settings.date : '',
+            primaryColor: color(settings.primaryColor, base.primaryColor),
+            accentColor: color(settings.accentColor, base.accentColor),
+            font: this.FONTS.some(f => f.id === settings.font) ? settings.font : base.font,
+            logo: this.isLogo(settings.logo) ? settings.logo : null
+        };
+    },
+
+    isLogo(value) {
+        return typeof value === 'string' && /^data:image\/(png|jpeg);base64,/.test(value) && value.length <= this.MAX_LOGO_BYTES * 4 / 3 + 30;
+    },
+
+    load() {
+        try {
+            return this.normalize(JSON.parse(localStorage.getItem(this.STORAGE_KEY)));
+        } catch (err) {
+            console.warn('Ignoring unreadable branding:', err);
+            return this.defaults();
+        }
+    },
+
+    save(settings) {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(settings));
+        } catch (err) {
+            console.warn('Could not save branding:', err);
+        }
+    },
+
+    // ---------------- APPLYING ---------------- //
+    // Makes settings the ones the next report is drawn with, chart colours included
+    use(settings) {
+        this.current = this.normalize(settings);
+        const theme = ChartGenerator.THEME;
+        theme.barColor = this.current.primaryColor;
+        theme.lineColor = this.current.accentColor;
+        theme.fontFamily = this.FONTS.find(f => f.id === this.current.font).chart;
+        return this.current;
+    },
+
+    get() {
+        return this.current || this.defaults();
+    },
+
+    // jsPDF font name
+    font() {
+        return this.get().font;
+    },
+
+    // '#4C72B0' -> [76, 114, 176], for jsPDF colours
+    rgb(hex) {
+        const value = parseInt(hex.slice(1), 16);
+        return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+    },
+
+    color(key) {
+        return this.rgb(this.get()[key]);
+    },
+
+    // Date for the title page: the chosen date, or today
+    dateText(settings = this.get()) {
+        const date = settings.date ? new Date(`${settings.date}T00:00:00`) : new Date();
+        return date.toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
+    },
+
+    // ---------------- PANEL ---------------- //
+    renderPanel(container) {
+        const settings = this.load();
+        this.use(settings);
+        container.innerHTML = '';
+
+        const commit = () => {
+            this.save(settings);
+            this.renderPanel(container);
+        };
+
+        const fields = document.createElement('div');
+        fields.className = 'branding-fields';
+        [
+            ['schoolName', 'School name', 'text'],
+            ['reportTitle', 'Report title', 'text'],
+            ['preparedBy', 'Prepared by', 'text'],
+            ['date', 'Report date (blank for the day it is generated)', 'date'],
+            ['primaryColor', 'Primary colour (bars, headings)', 'color'],
+            ['accentColor', 'Accent colour (lines)', 'color']
+        ].forEach(([key, text, type]) => {
+            const input = document.createElement('input');
+            input.type = type;
+            input.value = settings[key];
+            if (type === 'text') input.maxLength = this.MAX_TEXT_LENGTH;
+            input.addEventListener('change', () => {
+                settings[key] = input.value;
+                Object.assign(settings, this.normalize(settings));
+                commit();
+            });
+            fields.appendChild(this.field(text, input));
+        });
+
+        const font = document.createElement('select');
+        this.FONTS.forEach(f => {
+            const option = document.createElement('option');
+            option.value = f.id;
+            option.innerText = f.label;
+            font.appendChild(option);
+        });
+        font.value = settings.font;
+        font.addEventListener('change', () => {
+            settings.font = font.value;
+            commit();
+        });
+        fields.appendChild(this.field('Font', font));
+        container.appendChild(fields);
+
+        container.appendChild(ReportConfig.panelGroup('Logo', this.logoControls(settings, commit)));
+
+        container.appendChild(ReportConfig.presetActions(settings, {
+            defaults: () => this.defaults(),
+            normalize: (json) => this.normalize(json),
+            filename: 'hsc-report-branding.json',
+            name: 'branding preset'
+        }, commit));
+    },
+
+    field(text, input) {
+        const label = document.createElement('label');
+        label.appendChild(document.createTextNode(text));
+        label.appendChild(input);
+        return label;
+    },
+
+    logoControls(settings, commit) {
+        const wrap = document.createElement('div');
+        wrap.className = 'branding-logo';
+
+        if (settings.logo) {
+            const preview = document.createElement('img');
+            preview.src = settings.logo;
+            preview.alt = 'Logo';
+            wrap.appendChild(preview);
+        }
+
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = 'image/png,image/jpeg';
+        input.addEventListener('change', () => {
+            const file = input.files[0];
+            if (!file) return;
+            if (file.size > this.MAX_LOGO_BYTES) {
+                alert(`The logo must be a PNG or JPEG under ${this.MAX_LOGO_BYTES / 1024} KB.`);
+                return;
+            }
+            const reader = new FileReader();
+            reader.onload = () => {
+                if (!this.isLogo(reader.result)) {
+                    alert('The logo must be a PNG or JPEG image.');
+                    return;
+                }
+                settings.logo = reader.result;
+                commit();
+            };
+            reader.readAsDataURL(file);
+        });
+        wrap.appendChild(input);
+
+        if (settings.logo) {
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'btn btn-secondary btn-small';
+            removeBtn.innerHTML = '<i class="fa-solid fa-trash"></i> Remove';
+            removeBtn.addEventListener('click', () => {
+                settings.logo = null;
+                commit();
+            });
+            wrap.appendChild(removeBtn);
+        }
+
+        return wrap;
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) module.exports = Branding;
@@ -1,6 +1,7 @@
 /**
  * Chart Generator Module
- * Uses Chart.js to create invisible canvases, render charts, then export as images.
+ * Plans the report's charts and builds their Chart.js configs; ChartRenderer draws them
+ * to images (in a worker with OffscreenCanvas where the browser supports it).
  */
 
 const ChartGenerator = {
@@ -8,68 +9,105 @@ const ChartGenerator = {
     THEME: {
         barColor: "#4C72B0",
         lineColor: "#DD1C77",
+        noiseColor: "rgba(160, 160, 160, 0.6)", // School vs State gaps that are not significant
+        bandColors: { good: "#55A868", fair: "#CCB974", weak: "orange", negative: "#C44E52", none: "#8C8C8C" }, // Discrimination bands
+        classColors: ["#4C72B0", "#55A868", "#8172B2", "#CCB974", "#64B5CD", "#8C8C8C", "#C44E52", "#937860"],
         fontFamily: "'Outfit', 'Helvetica Neue', 'Helvetica', 'Arial', sans-serif"
     },
 
-    async createAllCharts(groupedData, statusCallback) {
-        const stagingArea = document.getElementById('chart-staging-area');
-        stagingArea.innerHTML = ''; // clear previous
+    // Pseudo-year used to file multi-year trend charts in their own chapter
+    TREND_LABEL: 'Trends',
 
-        const chartImages = []; // Array of objects { subject, year, title, type, imageDataBase64 }
+    // Renders every planned chart. statusCallback(done, total, page) after each one; see ChartRenderer.
+    // classData is processedData.classes. Resolves to [{ subject, year, title, type: 'chart', section, image }]
+    async createAllCharts(groupedData, statusCallback, config = ReportConfig.defaults(), classData = {}) {
+        return ChartRenderer.renderAll(this.planCharts(groupedData, config, classData), statusCallback);
+    },
+
+    // Every chart the report needs, in page order, before anything is drawn:
+    // [{ page, builder, args }], where builder names a build*Config method and args are plain data
+    // (so the config can be rebuilt inside a worker, functions and all)
+    planCharts(groupedData, config = ReportConfig.defaults(), classData = {}) {
+        const plan = [];
+        const enabled = (section) => ReportConfig.isEnabled(config, section);
 
         // Iterate Subject -> Year
         for (const subject of Object.keys(groupedData)) {
             for (const year of Object.keys(groupedData[subject])) {
                 const rows = groupedData[subject][year];
+                // One entry per question rather than per part, when asked for (not for the QPC/QPO
+                // charts: a question's parts can sit in different groups)
+                const questionRows = config.rollUpParts ? QuestionId.rollUp(rows) : rows;
 
                 // 1. MC/ER Visuals
-                const mcData = rows.filter(r => r['MC/ER'] === 'MC');
-                const erData = rows.filter(r => r['MC/ER'] === 'ER');
+                const mcData = questionRows.filter(r => r['MC/ER'] === 'MC');
+                const erData = questionRows.filter(r => r['MC/ER'] === 'ER');
 
-                if (mcData.length > 0) await this.generateMixedChart(stagingArea, mcData, subject, year, 'MC', chartImages);
-                if (erData.length > 0) await this.generateMixedChart(stagingArea, erData, subject, year, 'ER', chartImages);
+                if (enabled('mixed')) {
+                    if (mcData.length > 0) this.planMixedChart(plan, mcData, subject, year, 'MC');
+                    if (erData.length > 0) this.planMixedChart(plan, erData, subject, year, 'ER');
+                }
 
                 // 2. School vs State Comparison
-                if (mcData.length > 0) await this.generateDiffChart(stagingArea, mcData, subject, year, 'MC - School vs State', chartImages);
-                if (erData.length > 0) await this.generateDiffChart(stagingArea, erData, subject, year, 'ER - School vs State', chartImages);
-
-                // 3. Top/Bottom Performance
-                const withRate = rows.map(r => ({
-                    ...r,
-                    successRate: (r['School Mean (Item)'] / r['Max Mark (Item)']) * 100
-                })).sort((a, b) => b['School Mean (Item)'] - a['School Mean (Item)']);
-
-                const top5 = withRate.slice(0, 5);
-                const bottom5 = withRate.slice(-5).reverse();
+                if (enabled('diff')) {
+                    if (mcData.length > 0) this.planDiffChart(plan, mcData, subject, year, 'MC - School vs State');
+                    if (erData.length > 0) this.planDiffChart(plan, erData, subject, year, 'ER - School vs State');
+                }
 
-                if (top5.length > 0) {
-                    await this.generatePerformanceSummaryChart(stagingArea, top5, subject, year, 'Best Performing Questions (Top 5)', chartImages);
+                // 3. Multi-part questions: each part's share of the question, stacked
+                if (enabled('multipart') && config.rollUpParts) {
+                    this.planPartsChart(plan, questionRows, subject, year);
                 }
-                if (bottom5.length > 0) {
-                    await this.generatePerformanceSummaryChart(stagingArea, bottom5, subject, year, 'Questions Needing Additional Support (Bottom 5)', chartImages);
+
+                // 4. Top/Bottom Performance
+                if (enabled('performance')) {
+                    for (const group of Ranking.select(questionRows, config.ranking)) {
+                        const titles = Ranking.titles(group, config.ranking);
+                        this.planPerformanceSummaryChart(plan, group.top, subject, year, titles.top);
+                        this.planPerformanceSummaryChart(plan, group.bottom, subject, year, titles.bottom);
+                    }
                 }
 
-                // 4. Summaries (QPC / QPO)
-                // QPC
+                // 5. Summaries (QPC / QPO)
                 const qpcAgg = this.aggregateData(rows, 'Question Per Content');
-                if (qpcAgg.length > 0) await this.generateSummaryChart(stagingArea, qpcAgg, subject, year, 'QPC Summary', 'Question Per Content', chartImages);
-
-                // QPO
                 const qpoAgg = this.aggregateData(rows, 'Question Per Outcome');
-                if (qpoAgg.length > 0) await this.generateSummaryChart(stagingArea, qpoAgg, subject, year, 'QPO Summary', 'Question Per Outcome', chartImages);
+
+                if (enabled('summary')) {
+                    if (qpcAgg.length > 0) this.planSummaryChart(plan, qpcAgg, subject, year, 'QPC Summary', 'Question Per Content');
+                    if (qpoAgg.length > 0) this.planSummaryChart(plan, qpoAgg, subject, year, 'QPO Summary', 'Question Per Outcome');
+                }
 
                 // QPC/QPO School vs State
-                if (qpcAgg.length > 0) await this.generateSummaryDualChart(stagingArea, qpcAgg, subject, year, 'QPC Summary (School vs State)', 'Question Per Content', chartImages);
-                if (qpoAgg.length > 0) await this.generateSummaryDualChart(stagingArea, qpoAgg, subject, year, 'QPO Summary (School vs State)', 'Question Per Outcome', chartImages);
+                if (enabled('summaryDual')) {
+                    if (qpcAgg.length > 0) this.planSummaryDualChart(plan, qpcAgg, subject, year, 'QPC Summary (School vs State)', 'Question Per Content');
+                    if (qpoAgg.length > 0) this.planSummaryDualChart(plan, qpoAgg, subject, year, 'QPO Summary (School vs State)', 'Question Per Outcome');
+                }
+
+                // 6. Per Question Breakdowns (QPC/QPO groups)
+                if (enabled('breakdown')) {
+                    this.planGroupBreakdowns(plan, rows, 'Question Per Content', subject, year, 'Question (Item)');
+                    this.planGroupBreakdowns(plan, rows, 'Question Per Outcome', subject, year, 'Question Per Outcome');
+                }
+
+                // 7. Classes vs School and State (only with Class / Class Mean columns)
+                const classGroups = (classData[subject] || {})[year];
+                if (enabled('classes') && ClassBreakdown.available(classGroups)) {
+                    this.planClassCharts(plan, rows, classGroups, subject, year);
+                }
 
+                // 8. Item analysis (only for data imported from a student marks matrix)
+                if (enabled('itemanalysis') && ItemAnalysis.available(rows)) {
+                    this.planItemAnalysisCharts(plan, rows, subject, year);
+                }
+            }
 
-                // 5. Per Question Breakdowns (QPC/QPO groups)
-                await this.generateGroupBreakdowns(stagingArea, rows, 'Question Per Content', subject, year, chartImages, 'Question (Item)');
-                await this.generateGroupBreakdowns(stagingArea, rows, 'Question Per Outcome', subject, year, chartImages, 'Question Per Outcome');
+            // 9. Multi-year Trends (every year of this subject, School vs State)
+            if (enabled('trends')) {
+                this.planTrendCharts(plan, groupedData[subject], subject);
             }
         }
 
-        return chartImages;
+        return plan;
     },
 
     // ---------------- HELPER: Aggregator ---------------- //
@@ -85,13 +123,15 @@ const ChartGenerator = {
                     schoolSum: 0,
                     stateSum: 0,
                     count: 0,
-                    label: key
+                    label: key,
+                    rows: []
                 };
             }
             groups[key].max += row['Max Mark (Item)'];
             groups[key].schoolSum += row['School Mean (Item)'];
             groups[key].stateSum += row['State Mean (Item)'];
             groups[key].count += 1;
+            groups[key].rows.push(row);
         });
 
         // Convert to array and calc means
@@ -99,44 +139,33 @@ const ChartGenerator = {
             [groupCol]: g.label,
             'Max Mark (Item)': g.max,
             'School Mean (Item)': g.schoolSum / g.count,
-            'State Mean (Item)': g.stateSum / g.count
+            'State Mean (Item)': g.stateSum / g.count,
+            'Item Count': g.count,
+            significance: Significance.groupStats(g.rows) // null without N/SD columns
         }));
 
         return DataProcessor.sortQuestionsNaturally(result, groupCol);
     },
 
-    // ---------------- HELPER: Canvas Creator ---------------- //
-    createCanvas(width = 1100, height = 600) {
-        const canvas = document.createElement('canvas');
-        canvas.width = width;
-        canvas.height = height;
-        canvas.style.width = width + 'px';
-        canvas.style.height = height + 'px';
-        return canvas;
+    // ---------------- HELPER: Plan ---------------- //
+    addChart(plan, page, builder, args) {
+        plan.push({ page, builder, args });
     },
 
-    async chartToImage(chartInstance) {
-        return new Promise(resolve => {
-            setTimeout(() => {
-                const base64 = chartInstance.toBase64Image();
-                chartInstance.destroy();
-                resolve(base64);
-            }, 50);
-        });
+    // ---------------- CHART TYPE 1: Mixed (Bar + Line) for MC/ER ---------------- //
+    planMixedChart(plan, data, subject, year, titleSuffix, labelCol = 'Question (Item)', section = 'mixed') {
+        const title = `${subject} - ${year} - ${titleSuffix}`;
+        this.addChart(plan, { subject, year, title, section }, 'buildMixedChartConfig', [data, title, labelCol]);
     },
 
-    // ---------------- CHART TYPE 1: Mixed (Bar + Line) for MC/ER ---------------- //
-    async generateMixedChart(container, data, subject, year, titleSuffix, resultsArray, labelCol = 'Question (Item)') {
+    buildMixedChartConfig(data, title, labelCol = 'Question (Item)') {
         const sortedData = DataProcessor.sortQuestionsNaturally(data, labelCol);
         const labels = sortedData.map(d => d[labelCol]);
         const maxMarks = sortedData.map(d => d['Max Mark (Item)']);
         const schoolMeans = sortedData.map(d => d['School Mean (Item)']);
         const successRates = sortedData.map(d => (d['School Mean (Item)'] / d['Max Mark (Item)']) * 100);
 
-        const canvas = this.createCanvas();
-        container.appendChild(canvas);
-
-        const config = {
+        return {
             type: 'bar',
             data: {
                 labels: labels,
@@ -184,7 +213,7 @@ const ChartGenerator = {
                 plugins: {
                     title: {
                         display: true,
-                        text: `${subject} - ${year} - ${titleSuffix}`,
+                        text: title,
                         font: { size: 18, family: 'Outfit' }
                     },
                     legend: { position: 'top' }
@@ -214,32 +243,41 @@ const ChartGenerator = {
             },
             plugins: [ChartDataLabels]
         };
-
-        const chart = new Chart(canvas, config);
-        const img = await this.chartToImage(chart);
-        canvas.remove();
-
-        resultsArray.push({
-            subject, year,
-            title: `${subject} - ${year} - ${titleSuffix}`,
-            type: 'chart',
-            image: img
-        });
     },
 
     // ---------------- CHART TYPE 2: Diff Chart (School vs State) ---------------- //
-    async generateDiffChart(container, data, subject, year, titleSuffix, resultsArray) {
+    planDiffChart(plan, data, subject, year, titleSuffix) {
+        const title = `${subject} - ${year} - ${titleSuffix}`;
+        this.addChart(plan, { subject, year, title, section: 'diff' }, 'buildDiffChartConfig', [data, title]);
+    },
+
+    buildDiffChartConfig(data, title) {
         const sortedData = DataProcessor.sortQuestionsNaturally(data);
         const labels = sortedData.map(d => d['Question (Item)']);
         // Diff = School - State
         const diffs = sortedData.map(d => d['School Mean (Item)'] - d['State Mean (Item)']);
 
-        const colors = diffs.map(v => v >= 0 ? 'rgba(75, 192, 192, 0.7)' : 'rgba(255, 99, 132, 0.7)');
+        // With N/SD columns: 95% CI whiskers, and gaps that could be noise are greyed out
+        const stats = sortedData.map(d => Significance.itemStats(d));
+        const hasStats = stats.some(Boolean);
 
-        const canvas = this.createCanvas();
-        container.appendChild(canvas);
+        const colors = diffs.map((v, i) => {
+            if (stats[i] && !stats[i].significant) return this.THEME.noiseColor;
+            return v >= 0 ? 'rgba(75, 192, 192, 0.7)' : 'rgba(255, 99, 132, 0.7)';
+        });
+
+        const bounds = stats.filter(Boolean);
+        const yScale = {
+            title: { display: true, text: 'Difference (School - State Mean)' },
+            grid: { display: false }
+        };
+        if (bounds.length > 0) {
+            // Make room for the whiskers, which sit outside the bar data
+            yScale.suggestedMin = Math.min(0, ...bounds.map(b => b.ciLow));
+            yScale.suggestedMax = Math.max(0, ...bounds.map(b => b.ciHigh));
+        }
 
-        const config = {
+        return {
             type: 'bar',
             data: {
                 labels: labels,
@@ -250,7 +288,7 @@ const ChartGenerator = {
                     datalabels: {
                         anchor: (ctx) => ctx.dataset.data[ctx.dataIndex] >= 0 ? 'end' : 'start',
                         align: (ctx) => ctx.dataset.data[ctx.dataIndex] >= 0 ? 'top' : 'bottom',
-                        formatter: (val) => val.toFixed(2),
+                        formatter: (val, ctx) => val.toFixed(2) + (stats[ctx.dataIndex] && stats[ctx.dataIndex].significant ? '*' : ''),
                         font: { weight: 'bold', size: 9 },
                         color: '#000' // Better visibility
                     }
@@ -263,48 +301,74 @@ const ChartGenerator = {
                 plugins: {
                     title: {
                         display: true,
-                        text: `${subject} - ${year} - ${titleSuffix}`,
+                        text: title,
                         font: { size: 18 }
                     },
+                    subtitle: {
+                        display: hasStats,
+                        text: `Whiskers: ${Significance.CONFIDENCE}% confidence interval. * significant difference; grey bars could be chance variation.`,
+                        padding: { bottom: 10 }
+                    },
                     legend: { display: false }
                 },
                 scales: {
-                    y: {
-                        title: { display: true, text: 'Difference (School - State Mean)' },
-                        grid: { display: false }
-                    },
+                    y: yScale,
                     x: {
                         title: { display: true, text: 'Question Number' },
                         grid: { display: false }
                     }
                 }
             },
-            plugins: [ChartDataLabels]
+            plugins: hasStats ? [ChartDataLabels, this.ciWhiskerPlugin(stats)] : [ChartDataLabels]
         };
+    },
 
-        const chart = new Chart(canvas, config);
-        const img = await this.chartToImage(chart);
-        canvas.remove();
+    // Draws a vertical error bar per bar; intervals[i] is { ciLow, ciHigh } or null
+    ciWhiskerPlugin(intervals) {
+        return {
+            id: 'ciWhiskers',
+            afterDatasetsDraw(chart) {
+                const meta = chart.getDatasetMeta(0);
+                const y = chart.scales.y;
+                const ctx = chart.ctx;
 
-        resultsArray.push({
-            subject, year,
-            title: `${subject} - ${year} - ${titleSuffix}`,
-            type: 'chart',
-            image: img
-        });
+                ctx.save();
+                ctx.strokeStyle = '#333';
+                ctx.lineWidth = 1.5;
+                meta.data.forEach((bar, i) => {
+                    const ci = intervals[i];
+                    if (!ci) return;
+                    const top = y.getPixelForValue(ci.ciHigh);
+                    const bottom = y.getPixelForValue(ci.ciLow);
+                    const cap = Math.min(6, bar.width / 4);
+
+                    ctx.beginPath();
+                    ctx.moveTo(bar.x, top);
+                    ctx.lineTo(bar.x, bottom);
+                    ctx.moveTo(bar.x - cap, top);
+                    ctx.lineTo(bar.x + cap, top);
+                    ctx.moveTo(bar.x - cap, bottom);
+                    ctx.lineTo(bar.x + cap, bottom);
+                    ctx.stroke();
+                });
+                ctx.restore();
+            }
+        };
     },
 
     // ---------------- CHART TYPE 3: Summary Chart (Groups) ---------------- //
-    async generateSummaryChart(container, aggData, subject, year, titleSuffix, xLabel, resultsArray) {
+    planSummaryChart(plan, aggData, subject, year, titleSuffix, xLabel) {
+        const title = `${subject} - ${year} - ${titleSuffix}`;
+        this.addChart(plan, { subject, year, title, section: 'summary' }, 'buildSummaryChartConfig', [aggData, title, xLabel]);
+    },
+
+    buildSummaryChartConfig(aggData, title, xLabel) {
         const labels = aggData.map(d => d[xLabel]);
         const maxMarks = aggData.map(d => d['Max Mark (Item)']);
         const successRates = aggData.map(d => (d['School Mean (Item)'] / d['Max Mark (Item)']) * 100);
         const schoolMeans = aggData.map(d => d['School Mean (Item)']);
 
-        const canvas = this.createCanvas();
-        container.appendChild(canvas);
-
-        const config = {
+        return {
             type: 'bar',
             data: {
                 labels: labels,
@@ -347,7 +411,7 @@ const ChartGenerator = {
                 plugins: {
                     title: {
                         display: true,
-                        text: `${subject} - ${year} - ${titleSuffix}`,
+                        text: title,
                         font: { size: 18 }
                     },
                 },
@@ -372,30 +436,23 @@ const ChartGenerator = {
             },
             plugins: [ChartDataLabels]
         };
-
-        const chart = new Chart(canvas, config);
-        const img = await this.chartToImage(chart);
-        canvas.remove();
-
-        resultsArray.push({
-            subject, year,
-            title: `${subject} - ${year} - ${titleSuffix}`,
-            type: 'chart',
-            image: img
-        });
     },
 
     // ---------------- CHART TYPE 4: Summary Dual (School vs State) ---------------- //
-    async generateSummaryDualChart(container, aggData, subject, year, titleSuffix, xLabel, resultsArray) {
-        const labels = aggData.map(d => d[xLabel]);
+    planSummaryDualChart(plan, aggData, subject, year, titleSuffix, xLabel) {
+        const title = `${subject} - ${year} - ${titleSuffix}`;
+        this.addChart(plan, { subject, year, title, section: 'summaryDual' }, 'buildSummaryDualChartConfig', [aggData, title, xLabel]);
+    },
+
+    buildSummaryDualChartConfig(aggData, title, xLabel) {
+        // Groups whose School vs State gap is significant are starred (needs N/SD columns)
+        const hasStats = aggData.some(d => d.significance);
+        const labels = aggData.map(d => d[xLabel] + (d.significance && d.significance.significant ? '*' : ''));
         const maxMarks = aggData.map(d => d['Max Mark (Item)']);
         const schoolRates = aggData.map(d => (d['School Mean (Item)'] / d['Max Mark (Item)']) * 100);
         const stateRates = aggData.map(d => (d['State Mean (Item)'] / d['Max Mark (Item)']) * 100);
 
-        const canvas = this.createCanvas();
-        container.appendChild(canvas);
-
-        const config = {
+        return {
             type: 'bar',
             data: {
                 labels: labels,
@@ -441,9 +498,14 @@ const ChartGenerator = {
                 plugins: {
                     title: {
                         display: true,
-                        text: `${subject} - ${year} - ${titleSuffix}`,
+                        text: title,
                         font: { size: 18 }
                     },
+                    subtitle: {
+                        display: hasStats,
+                        text: `* School vs State gap is significant (${Significance.CONFIDENCE}% confidence)`,
+                        padding: { bottom: 10 }
+                    },
                 },
                 scales: {
                     y: {
@@ -466,21 +528,10 @@ const ChartGenerator = {
             },
             plugins: [ChartDataLabels]
         };
-
-        const chart = new Chart(canvas, config);
-        const img = await this.chartToImage(chart);
-        canvas.remove();
-
-        resultsArray.push({
-            subject, year,
-            title: `${subject} - ${year} - ${titleSuffix}`,
-            type: 'chart',
-            image: img
-        });
     },
 
     // ---------------- CHART TYPE 5: Group Breakdowns ---------------- //
-    async generateGroupBreakdowns(container, rows, groupCol, subject, year, resultsArray, labelCol = 'Question (Item)') {
+    planGroupBreakdowns(plan, rows, groupCol, subject, year, labelCol = 'Question (Item)') {
         const groups = {};
         rows.forEach(r => {
             const key = String(r[groupCol] || '').trim();
@@ -494,21 +545,23 @@ const ChartGenerator = {
             const prefix = groupCol === 'Question Per Content' ? 'QPC Breakdown' : 'QPO Breakdown';
             const titleSuffix = `${prefix}: ${groupName}`;
 
-            await this.generateMixedChart(container, groupData, subject, year, titleSuffix, resultsArray, labelCol);
+            this.planMixedChart(plan, groupData, subject, year, titleSuffix, labelCol, 'breakdown');
         }
     },
 
     // ---------------- CHART TYPE 6: Performance Summary (Top/Bottom 5) ---------------- //
-    async generatePerformanceSummaryChart(container, data, subject, year, titleSuffix, resultsArray) {
+    planPerformanceSummaryChart(plan, data, subject, year, titleSuffix) {
+        const title = `${subject} - ${year} - ${titleSuffix}`;
+        this.addChart(plan, { subject, year, title, section: 'performance', subType: 'performance-summary' }, 'buildPerformanceSummaryChartConfig', [data, title]);
+    },
+
+    buildPerformanceSummaryChartConfig(data, title) {
         const labels = data.map(d => d['Question (Item)']);
         const schoolMeans = data.map(d => d['School Mean (Item)']);
         const stateMeans = data.map(d => d['State Mean (Item)']);
         const maxMarks = data.map(d => d['Max Mark (Item)']);
 
-        const canvas = this.createCanvas();
-        container.appendChild(canvas);
-
-        const config = {
+        return {
             type: 'bar',
             data: {
                 labels: labels,
@@ -546,7 +599,7 @@ const ChartGenerator = {
                 plugins: {
                     title: {
                         display: true,
-                        text: `${subject} - ${year} - ${titleSuffix}`,
+                        text: title,
                         font: { size: 18 }
                     },
                     legend: { position: 'top' }
@@ -565,17 +618,468 @@ const ChartGenerator = {
             },
             plugins: [ChartDataLabels]
         };
+    },
+
+    // ---------------- CHART TYPE 7: Multi-year Trends ---------------- //
+    planTrendCharts(plan, yearGroups, subject) {
+        const trends = this.buildTrendSeries(yearGroups);
+        for (const series of trends.series) {
+            this.planTrendChart(plan, trends.years, series.points, subject, series.titleSuffix);
+        }
+    },
 
-        const chart = new Chart(canvas, config);
-        const img = await this.chartToImage(chart);
-        canvas.remove();
+    // Success-rate series per year: overall first, then each QPC and QPO group
+    buildTrendSeries(yearGroups) {
+        const years = Object.keys(yearGroups).sort();
+        const series = [];
+        if (years.length < 2) return { years, series }; // A trend needs at least two cohorts
 
-        resultsArray.push({
-            subject, year,
-            title: `${subject} - ${year} - ${titleSuffix}`,
-            type: 'chart',
-            image: img,
-            subType: 'performance-summary'
+        // Overall: total marks achieved over total marks available, per year
+        const overall = years.map(year => {
+            const rows = yearGroups[year];
+            const max = rows.reduce((sum, r) => sum + r['Max Mark (Item)'], 0);
+            const school = rows.reduce((sum, r) => sum + r['School Mean (Item)'], 0);
+            const state = rows.reduce((sum, r) => sum + r['State Mean (Item)'], 0);
+            return this.trendPoint(school, state, max);
         });
+        series.push({ titleSuffix: 'Overall Success Rate (School vs State)', points: overall });
+
+        // Per QPC / QPO group
+        for (const groupCol of ['Question Per Content', 'Question Per Outcome']) {
+            const prefix = groupCol === 'Question Per Content' ? 'QPC Trend' : 'QPO Trend';
+            const aggByYear = years.map(year => this.aggregateData(yearGroups[year], groupCol));
+
+            // Groups can come and go between years, so collect every label seen
+            const labels = [];
+            aggByYear.forEach(agg => agg.forEach(g => {
+                if (!labels.includes(g[groupCol])) labels.push(g[groupCol]);
+            }));
+            const sortedLabels = DataProcessor.sortQuestionsNaturally(labels.map(l => ({ label: l })), 'label').map(l => l.label);
+
+            for (const label of sortedLabels) {
+                const points = aggByYear.map(agg => {
+                    const g = agg.find(a => a[groupCol] === label);
+                    if (!g) return this.trendPoint(0, 0, 0);
+                    // aggregateData averages the means, so scale back up to group totals
+                    return this.trendPoint(
+                        g['School Mean (Item)'] * g['Item Count'],
+                        g['State Mean (Item)'] * g['Item Count'],
+                        g['Max Mark (Item)']
+                    );
+                });
+                series.push({ titleSuffix: `${prefix}: ${label}`, points });
+            }
+        }
+
+        return { years, series };
+    },
+
+    trendPoint(schoolTotal, stateTotal, maxTotal) {
+        if (!maxTotal) return { school: null, state: null }; // Group absent (or unmarked) that year
+        return {
+            school: (schoolTotal / maxTotal) * 100,
+            state: (stateTotal / maxTotal) * 100
+        };
+    },
+
+    planTrendChart(plan, years, points, subject, titleSuffix) {
+        const title = `${subject} - ${this.TREND_LABEL} - ${titleSuffix}`;
+        this.addChart(plan, { subject, year: this.TREND_LABEL, title, section: 'trends', subType: 'trend' }, 'buildTrendChartConfig', [years, points, title]);
+    },
+
+    buildTrendChartConfig(years, points, title) {
+        return {
+            type: 'line',
+            data: {
+                labels: years,
+                datasets: [
+                    {
+                        label: 'School Rate (%)',
+                        data: points.map(p => p.school),
+                        borderColor: this.THEME.lineColor,
+                        backgroundColor: this.THEME.lineColor,
+                        borderWidth: 2,
+                        pointRadius: 5,
+                        spanGaps: true,
+                        datalabels: {
+                            align: 'top',
+                            anchor: 'end',
+                            formatter: (val) => val === null ? '' : `${val.toFixed(0)}%`,
+                            font: { size: 11, weight: 'bold' },
+                            color: this.THEME.lineColor
+                        }
+                    },
+                    {
+                        label: 'State Rate (%)',
+                        data: points.map(p => p.state),
+                        borderColor: 'orange',
+                        backgroundColor: 'orange',
+                        borderDash: [5, 5],
+                        pointRadius: 4,
+                        spanGaps: true,
+                        datalabels: {
+                            align: 'bottom',
+                            anchor: 'start',
+                            formatter: (val) => val === null ? '' : `${val.toFixed(0)}%`,
+                            font: { size: 10 },
+                            color: '#000'
+                        }
+                    }
+                ]
+            },
+            options: {
+                responsive: false,
+                animation: false,
+                layout: { padding: 30 },
+                plugins: {
+                    title: {
+                        display: true,
+                        text: title,
+                        font: { size: 18 }
+                    },
+                    legend: { position: 'top' }
+                },
+                scales: {
+                    y: {
+                        min: 0,
+                        max: 100,
+                        title: { display: true, text: 'Success Rate (%)' },
+                        grid: { display: false }
+                    },
+                    x: {
+                        title: { display: true, text: 'Year' },
+                        grid: { display: false }
+                    }
+                }
+            },
+            plugins: [ChartDataLabels]
+        };
+    },
+
+    // ---------------- CHART TYPE 8: Classes vs School and State ---------------- //
+    planClassCharts(plan, rows, classGroups, subject, year) {
+        [
+            ['Question (Item)', 'Classes vs School and State', 'Question Number'],
+            ['Question Per Content', 'QPC by Class', 'Question Per Content'],
+            ['Question Per Outcome', 'QPO by Class', 'Question Per Outcome']
+        ].forEach(([labelCol, titleSuffix, xLabel]) => {
+            const comparison = ClassBreakdown.compare(rows, classGroups, labelCol);
+            if (comparison.labels.length === 0) return;
+            const title = `${subject} - ${year} - ${titleSuffix}`;
+            this.addChart(plan, { subject, year, title, section: 'classes' }, 'buildClassChartConfig', [comparison, title, xLabel]);
+        });
+    },
+
+    // comparison: ClassBreakdown.compare output. Class bars, School and State as lines.
+    buildClassChartConfig(comparison, title, xLabel) {
+        const colors = this.THEME.classColors;
+        const classSets = comparison.classes.map((c, idx) => ({
+            label: c.name,
+            data: c.rates,
+            backgroundColor: colors[idx % colors.length],
+            datalabels: { display: false } // Too crowded with several classes per question
+        }));
+
+        return {
+            type: 'bar',
+            data: {
+                labels: comparison.labels,
+                datasets: [
+                    {
+                        label: 'School Rate (%)',
+                        data: comparison.school,
+                        type: 'line',
+                        borderColor: this.THEME.lineColor,
+                        backgroundColor: this.THEME.lineColor,
+                        datalabels: { display: false }
+                    },
+                    {
+                        label: 'State Rate (%)',
+                        data: comparison.state,
+                        type: 'line',
+                        borderColor: 'orange',
+                        backgroundColor: 'orange',
+                        borderDash: [5, 5],
+                        datalabels: { display: false }
+                    },
+                    ...classSets
+                ]
+            },
+            options: {
+                responsive: false,
+                animation: false,
+                layout: { padding: 20 },
+                plugins: {
+                    title: {
+                        display: true,
+                        text: title,
+                        font: { size: 18 }
+                    }
+                },
+                scales: {
+                    y: {
+                        min: 0, max: 100,
+                        title: { display: true, text: 'Success Rate (%)' },
+                        grid: { display: false }
+                    },
+                    x: {
+                        title: { display: true, text: xLabel },
+                        ticks: { autoSkip: false, maxRotation: 45, minRotation: 0 },
+                        grid: { display: false }
+                    }
+                }
+            },
+            plugins: [ChartDataLabels]
+        };
+    },
+
+    // ---------------- CHART TYPE 9: Item Analysis (student marks) ---------------- //
+    planItemAnalysisCharts(plan, rows, subject, year) {
+        const items = DataProcessor.sortQuestionsNaturally(rows.filter(r => r['Facility'] !== undefined && r['Facility'] !== null));
+        if (items.length === 0) return;
+        const labels = items.map(r => r['Question (Item)']);
+
+        const discTitle = `${subject} - ${year} - Item Discrimination (Point-biserial)`;
+        this.addChart(plan, { subject, year, title: discTitle, section: 'itemanalysis' }, 'buildDiscriminationChartConfig', [
+            labels,
+            items.map(r => r['Point Biserial']),
+            items.map(r => ItemAnalysis.discriminationBand(r['Point Biserial'])),
+            items.map(r => r['Facility'] * 100),
+            discTitle
+        ]);
+
+        // Share of students on no marks, part marks and full marks, per question
+        const shares = items.map(r => {
+            const counts = { none: 0, part: 0, full: 0 };
+            let students = 0;
+            Object.entries(r['Score Distribution'] || {}).forEach(([mark, count]) => {
+                const value = parseFloat(mark);
+                const band = value <= 0 ? 'none' : value >= r['Max Mark (Item)'] ? 'full' : 'part';
+                counts[band] += count;
+                students += count;
+            });
+            return students > 0
+                ? { none: counts.none / students * 100, part: counts.part / students * 100, full: counts.full / students * 100 }
+                : { none: 0, part: 0, full: 0 };
+        });
+        const distTitle = `${subject} - ${year} - Score Distribution by Question`;
+        this.addChart(plan, { subject, year, title: distTitle, section: 'itemanalysis' }, 'buildDistributionChartConfig', [labels, shares, distTitle]);
+    },
+
+    // Point-biserial bars coloured by band (see ItemAnalysis.discriminationBand), facility as a line
+    buildDiscriminationChartConfig(labels, values, bands, facility, title) {
+        return {
+            type: 'bar',
+            data: {
+                labels,
+                datasets: [
+                    {
+                        label: 'Facility (%)',
+                        data: facility,
+                        type: 'line',
+                        yAxisID: 'y1',
+                        borderColor: this.THEME.lineColor,
+                        backgroundColor: this.THEME.lineColor,
+                        datalabels: { display: false }
+                    },
+                    {
+                        label: 'Point-biserial (r)',
+                        data: values,
+                        backgroundColor: bands.map(band => this.THEME.bandColors[band]),
+                        datalabels: {
+                            anchor: 'end',
+                            align: 'top',
+                            formatter: (val) => val === null ? '' : val.toFixed(2),
+                            font: { size: 10 }
+                        }
+                    }
+                ]
+            },
+            options: {
+                responsive: false,
+                animation: false,
+                layout: { padding: 20 },
+                plugins: {
+                    title: {
+                        display: true,
+                        text: title,
+                        font: { size: 18 }
+                    },
+                    subtitle: {
+                        display: true,
+                        text: 'Green: discriminates well (0.3+). Yellow: fair (0.2 to 0.3). Orange: weak. Red: negative, check the marking key.'
+                    }
+                },
+                scales: {
+                    y: {
+                        min: Math.min(0, ...values.filter(v => v !== null).map(v => Math.floor(v * 10) / 10)),
+                        max: 1,
+                        title: { display: true, text: 'Point-biserial (r)' },
+                        grid: { display: false }
+                    },
+                    y1: {
+                        min: 0, max: 100,
+                        position: 'right',
+                        title: { display: true, text: 'Facility (%)' },
+                        grid: { display: false }
+                    },
+                    x: {
+                        title: { display: true, text: 'Question Number' },
+                        ticks: { autoSkip: false, maxRotation: 45, minRotation: 0 },
+                        grid: { display: false }
+                    }
+                }
+            },
+            plugins: [ChartDataLabels]
+        };
+    },
+
+    // shares: [{ none, part, full }] (% of students) per question, stacked to 100
+    buildDistributionChartConfig(labels, shares, title) {
+        const dataset = (label, key, color) => ({
+            label,
+            data: shares.map(s => s[key]),
+            backgroundColor: color,
+            datalabels: {
+                formatter: (val) => val >= 8 ? `${val.toFixed(0)}%` : '', // Thin slices stay unlabelled
+                font: { size: 9 },
+                color: '#fff'
+            }
+        });
+
+        return {
+            type: 'bar',
+            data: {
+                labels,
+                datasets: [
+                    dataset('No marks', 'none', this.THEME.bandColors.negative),
+                    dataset('Part marks', 'part', this.THEME.bandColors.fair),
+                    dataset('Full marks', 'full', this.THEME.bandColors.good)
+                ]
+            },
+            options: {
+                responsive: false,
+                animation: false,
+                layout: { padding: 20 },
+                plugins: {
+                    title: {
+                        display: true,
+                        text: title,
+                        font: { size: 18 }
+                    }
+                },
+                scales: {
+                    y: {
+                        stacked: true,
+                        min: 0, max: 100,
+                        title: { display: true, text: 'Students (%)' },
+                        grid: { display: false }
+                    },
+                    x: {
+                        stacked: true,
+                        title: { display: true, text: 'Question Number' },
+                        ticks: { autoSkip: false, maxRotation: 45, minRotation: 0 },
+                        grid: { display: false }
+                    }
+                }
+            },
+            plugins: [ChartDataLabels]
+        };
+    },
+
+    // ---------------- CHART TYPE 10: Multi-part Questions (stacked parts) ---------------- //
+    // questionRows: QuestionId.rollUp output; only questions made of several parts are charted
+    planPartsChart(plan, questionRows, subject, year) {
+        const questions = questionRows.filter(r => r.parts);
+        if (questions.length === 0) return;
+
+        const title = `${subject} - ${year} - Multi-part Questions`;
+        this.addChart(plan, { subject, year, title, section: 'multipart' }, 'buildPartsChartConfig', [
+            questions.map(q => ({
+                label: q['Question (Item)'],
+                max: q['Max Mark (Item)'],
+                state: q['Max Mark (Item)'] ? q['State Mean (Item)'] / q['Max Mark (Item)'] * 100 : null,
+                parts: q.parts.map(p => ({
+                    label: QuestionId.parse(p['Question (Item)']).partLabel || p['Question (Item)'],
+                    school: p['School Mean (Item)'],
+                    max: p['Max Mark (Item)']
+                }))
+            })),
+            title
+        ]);
+    },
+
+    // questions: [{ label, max, state, parts: [{ label, school, max }] }]. Each part's school mean
+    // as a share of the whole question's marks, stacked, so a bar's height is the question's success rate
+    buildPartsChartConfig(questions, title) {
+        const colors = this.THEME.classColors;
+        const depth = Math.max(...questions.map(q => q.parts.length));
+        const partSets = [];
+        for (let i = 0; i < depth; i++) {
+            partSets.push({
+                label: `Part ${i + 1}`,
+                data: questions.map(q => q.parts[i] && q.max ? q.parts[i].school / q.max * 100 : null),
+                backgroundColor: colors[i % colors.length],
+                stack: 'school',
+                datalabels: {
+                    formatter: (val, ctx) => val >= 6 ? questions[ctx.dataIndex].parts[i].label : '', // Thin parts stay unlabelled
+                    font: { size: 10, weight: 'bold' },
+                    color: '#fff'
+                }
+            });
+        }
+
+        return {
+            type: 'bar',
+            data: {
+                labels: questions.map(q => q.label),
+                datasets: [
+                    {
+                        label: 'State Rate (%)',
+                        data: questions.map(q => q.state),
+                        type: 'line',
+                        stack: 'state',
+                        borderColor: 'orange',
+                        backgroundColor: 'orange',
+                        borderDash: [5, 5],
+                        datalabels: { display: false }
+                    },
+                    ...partSets
+                ]
+            },
+            options: {
+                responsive: false,
+                animation: false,
+                layout: { padding: 20 },
+                plugins: {
+                    title: {
+                        display: true,
+                        text: title,
+                        font: { size: 18 }
+                    },
+                    subtitle: {
+                        display: true,
+                        text: 'Each segment is the school mean on one part, as a share of the whole question\'s marks.'
+                    }
+                },
+                scales: {
+                    y: {
+                        stacked: true,
+                        min: 0, max: 100,
+                        title: { display: true, text: 'Success Rate (%)' },
+                        grid: { display: false }
+                    },
+                    x: {
+                        stacked: true,
+                        title: { display: true, text: 'Question Number' },
+                        ticks: { autoSkip: false, maxRotation: 45, minRotation: 0 },
+                        grid: { display: false }
+                    }
+                }
+            },
+            plugins: [ChartDataLabels]
+        };
     }
 };
+
+if (typeof module !== 'undefined' && module.exports) module.exports = ChartGenerator;
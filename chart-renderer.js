@@ -0,0 +1,155 @@
+/**
+ * Chart Renderer Module
+ * Draws the jobs planned by ChartGenerator.planCharts to PNG data URLs, one at a time,
+ * with per-chart progress and cancelling. Uses chart-worker.js (OffscreenCanvas) where
+ * supported so the page stays responsive, otherwise a hidden canvas on the page.
+ */
+
+const ChartRenderer = {
+    WORKER_URL: 'chart-worker.js',
+    WIDTH: 1100,
+    HEIGHT: 600,
+
+    worker: null,
+    ready: false, // The worker has loaded its scripts
+    fallback: false, // Render on the page from now on
+    nextId: 1,
+    pending: new Map(), // id -> { job, resolve, reject }
+    cancelled: false,
+    canvasFactory: null, // (width, height) -> canvas, for rendering without a DOM (see cli.js)
+
+    // plan: [{ page, builder, args }] -> [{ ...page, type: 'chart', image }]
+    // onProgress(done, total, page) before each chart (page is null once all are done)
+    async renderAll(plan, onProgress) {
+        const report = onProgress || (() => { });
+        this.cancelled = false;
+        const charts = [];
+
+        for (const [idx, job] of plan.entries()) {
+            report(idx, plan.length, job.page);
+            const image = await this.render(job);
+            if (this.cancelled) throw this.cancelledError();
+            charts.push({ ...job.page, type: 'chart', image });
+        }
+
+        report(plan.length, plan.length, null);
+        this.stopWorker(); // Chart.js and its canvas are not needed until the next report
+        return charts;
+    },
+
+    // Stops the running renderAll; its promise rejects with a cancelled error
+    cancel() {
+        this.cancelled = true;
+        this.stopWorker();
+    },
+
+    isCancelled(err) {
+        return !!(err && err.cancelled);
+    },
+
+    cancelledError() {
+        const err = new Error('Chart rendering cancelled');
+        err.cancelled = true;
+        return err;
+    },
+
+    // ---------------- DISPATCH ---------------- //
+    useWorker() {
+        return !this.fallback && typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined' &&
+            location.protocol !== 'file:';
+    },
+
+    render(job) {
+        if (!this.useWorker()) return this.renderOnPage(job);
+
+        return new Promise((resolve, reject) => {
+            const id = this.nextId++;
+            this.pending.set(id, { job, resolve, reject });
+            this.getWorker().postMessage({
+                id,
+                builder: job.builder,
+                args: job.args,
+                theme: ChartGenerator.THEME, // The worker's copy doesn't see Branding.use
+                width: this.WIDTH,
+                height: this.HEIGHT,
+                pixelRatio: window.devicePixelRatio || 1 // Same sharpness as a page canvas
+            });
+        });
+    },
+
+    getWorker() {
+        if (this.worker) return this.worker;
+
+        this.worker = new Worker(this.WORKER_URL);
+        this.worker.onmessage = (e) => this.handleMessage(e.data);
+        this.worker.onerror = (e) => {
+            e.preventDefault();
+            if (this.ready) {
+                console.error('Chart worker error:', e.message);
+                return;
+            }
+            // Scripts failed to load: draw this chart and the rest on the page
+            console.warn('Chart worker unavailable, rendering on the page instead:', e.message);
+            this.fallback = true;
+            const waiting = [...this.pending.values()];
+            this.pending.clear();
+            this.stopWorker();
+            waiting.forEach(({ job, resolve, reject }) => this.renderOnPage(job).then(resolve, reject));
+        };
+        return this.worker;
+    },
+
+    stopWorker() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+            this.ready = false;
+        }
+        this.pending.forEach(({ reject }) => reject(this.cancelledError()));
+        this.pending.clear();
+    },
+
+    handleMessage(message) {
+        if (message.type === 'ready') {
+            this.ready = true;
+            return;
+        }
+
+        const pending = this.pending.get(message.id);
+        if (!pending) return;
+        this.pending.delete(message.id);
+
+        if (message.type === 'result') pending.resolve(message.image);
+        else pending.reject(new Error(`Could not draw "${pending.job.page.title}": ${message.message}`));
+    },
+
+    // ---------------- PAGE FALLBACK ---------------- //
+    async renderOnPage(job) {
+        const container = this.canvasFactory ? null : document.getElementById('chart-staging-area');
+        const canvas = this.createCanvas();
+        if (container) container.appendChild(canvas);
+
+        Chart.defaults.font.family = ChartGenerator.THEME.fontFamily;
+        const chart = new Chart(canvas, ChartGenerator[job.builder](...job.args));
+        const image = chart.toBase64Image(); // Configs disable animation, so it is already drawn
+        chart.destroy();
+        if (container) canvas.remove();
+
+        // Let the progress bar repaint and the Cancel button be heard between charts
+        await new Promise(resolve => setTimeout(resolve, 0));
+        return image;
+    },
+
+    createCanvas() {
+        if (this.canvasFactory) return this.canvasFactory(this.WIDTH, this.HEIGHT);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = this.WIDTH;
+        canvas.height = this.HEIGHT;
+        canvas.style.width = this.WIDTH + 'px';
+        canvas.style.height = this.HEIGHT + 'px';
+        return canvas;
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) module.exports = ChartRenderer;
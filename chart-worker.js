@@ -0,0 +1,41 @@
+/**
+ * Chart Worker
+ * Draws report charts on an OffscreenCanvas for ChartRenderer. Messages:
+ * { id, builder, args, theme, width, height, pixelRatio } in; { id, type: 'result', image } or
+ * { id, type: 'error', message } out. The config is built here from the builder name,
+ * since Chart.js configs carry functions that cannot be posted.
+ */
+
+importScripts(
+    'https://cdn.jsdelivr.net/npm/chart.js',
+    'https://cdn.jsdelivr.net/npm/chartjs-plugin-datalabels@2',
+    'significance.js',
+    'question-id.js',
+    'data-processor.js',
+    'chart-generator.js'
+);
+
+self.onmessage = async (e) => {
+    const { id, builder, args, theme, width, height, pixelRatio } = e.data;
+
+    try {
+        Object.assign(ChartGenerator.THEME, theme); // Branding colours and font from the page
+        Chart.defaults.font.family = ChartGenerator.THEME.fontFamily;
+
+        const config = ChartGenerator[builder](...args);
+        config.options.devicePixelRatio = pixelRatio;
+
+        const canvas = new OffscreenCanvas(width, height);
+        const chart = new Chart(canvas, config);
+        const blob = await canvas.convertToBlob({ type: 'image/png' });
+        chart.destroy();
+
+        // jsPDF takes data URLs, like chart.toBase64Image() gives on the page
+        const image = new FileReaderSync().readAsDataURL(blob);
+        self.postMessage({ id, type: 'result', image });
+    } catch (err) {
+        self.postMessage({ id, type: 'error', message: err.message });
+    }
+};
+
+self.postMessage({ type: 'ready' });
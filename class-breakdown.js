@@ -0,0 +1,117 @@
+/**
+ * Class Breakdown Module
+ * Compares each class (or teacher group) with the school and the state, from the optional
+ * Class / Class Mean (Item) columns kept by DataProcessor.processData in processedData.classes.
+ * Feeds the class charts (ChartGenerator) and the class summary page (PdfGenerator).
+ */
+
+const ClassBreakdown = {
+    ROWS_PER_PAGE: 18, // Classes per summary page
+
+    // classGroups: { Class: [rows] } for one subject-year (may be undefined)
+    available(classGroups) {
+        return !!classGroups && Object.values(classGroups).some(rows => rows.some(r => this.usable(r)));
+    },
+
+    // Class rows with a mean the validator did not flag
+    usable(row) {
+        const mean = row['Class Mean (Item)'];
+        return mean !== null && mean !== undefined && row['Max Mark (Item)'] > 0 &&
+            mean >= 0 && mean <= row['Max Mark (Item)'];
+    },
+
+    classNames(classGroups) {
+        // Numeric-aware, so 12MA2 comes before 12MA10
+        return Object.keys(classGroups).sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+    },
+
+    // Success rates (%) per label for the school, the state and each class.
+    // labelCol 'Question (Item)' gives one point per question; QPC/QPO columns pool their questions.
+    // -> { labels, school: [], state: [], classes: [{ name, rates: [] }] }; a class rate is null without data
+    compare(rows, classGroups, labelCol) {
+        const scored = rows.filter(r => r['Max Mark (Item)'] > 0);
+        const labelOf = (r) => String(r[labelCol] || '').trim();
+        const itemLabel = {}; // question -> label, so class rows follow the item's grouping
+        scored.forEach(r => itemLabel[r['Question (Item)']] = labelOf(r));
+
+        const labels = labelCol === 'Question (Item)'
+            ? DataProcessor.sortQuestionsNaturally(scored).map(r => r['Question (Item)'])
+            : DataProcessor.sortQuestionsNaturally(
+                [...new Set(scored.map(labelOf).filter(Boolean))].map(label => ({ label })), 'label'
+            ).map(l => l.label);
+
+        const rate = (items, meanCol) => {
+            const max = items.reduce((sum, r) => sum + r['Max Mark (Item)'], 0);
+            return max > 0 ? items.reduce((sum, r) => sum + r[meanCol], 0) / max * 100 : null;
+        };
+        const byLabel = (items) => labels.map(label => items.filter(r => itemLabel[r['Question (Item)']] === label));
+
+        const itemsByLabel = byLabel(scored);
+        return {
+            labels,
+            school: itemsByLabel.map(items => rate(items, 'School Mean (Item)')),
+            state: itemsByLabel.map(items => rate(items, 'State Mean (Item)')),
+            classes: this.classNames(classGroups).map(name => ({
+                name,
+                rates: byLabel(classGroups[name].filter(r => this.usable(r))).map(items => rate(items, 'Class Mean (Item)'))
+            }))
+        };
+    },
+
+    // One entry per class, with the school and state rates on the same questions the class has
+    summary(rows, classGroups) {
+        const items = {};
+        rows.filter(r => r['Max Mark (Item)'] > 0).forEach(r => items[r['Question (Item)']] = r);
+        const areas = this.compare(rows, classGroups, 'Question Per Content');
+
+        return this.classNames(classGroups).map(name => {
+            const classRows = classGroups[name].filter(r => this.usable(r) && items[r['Question (Item)']]);
+            const matched = classRows.map(r => items[r['Question (Item)']]);
+            const max = matched.reduce((sum, r) => sum + r['Max Mark (Item)'], 0);
+            const pct = (list, col) => max > 0 ? list.reduce((sum, r) => sum + r[col], 0) / max * 100 : null;
+
+            // Content areas furthest above / below the school, for this class
+            const rates = (areas.classes.find(c => c.name === name) || { rates: [] }).rates;
+            const gaps = areas.labels
+                .map((label, idx) => ({ label, gap: rates[idx] === null || areas.school[idx] === null ? null : rates[idx] - areas.school[idx] }))
+                .filter(g => g.gap !== null)
+                .sort((a, b) => b.gap - a.gap);
+
+            return {
+                name,
+                items: classRows.length,
+                rate: pct(classRows, 'Class Mean (Item)'),
+                school: pct(matched, 'School Mean (Item)'),
+                state: pct(matched, 'State Mean (Item)'),
+                strongest: gaps.length > 1 ? gaps[0].label : '',
+                weakest: gaps.length > 1 ? gaps[gaps.length - 1].label : ''
+            };
+        }).filter(c => c.items > 0);
+    },
+
+    // Class summary pages for each subject-year that has class data:
+    // { type: 'classes', section: 'classes', subject, year, title, classes: [summary entries] }
+    generatePages(classData, groupedData) {
+        const pages = [];
+        Object.keys(groupedData).forEach(subject => {
+            Object.keys(groupedData[subject]).forEach(year => {
+                const classGroups = (classData[subject] || {})[year];
+                if (!this.available(classGroups)) return;
+
+                const classes = this.summary(groupedData[subject][year], classGroups);
+                for (let i = 0; i < classes.length; i += this.ROWS_PER_PAGE) {
+                    pages.push({
+                        type: 'classes',
+                        section: 'classes',
+                        subject, year,
+                        title: `${subject} - ${year} - Class Summary${i > 0 ? ' (continued)' : ''}`,
+                        classes: classes.slice(i, i + this.ROWS_PER_PAGE)
+                    });
+                }
+            });
+        });
+        return pages;
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) module.exports = ClassBreakdown;
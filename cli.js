@@ -0,0 +1,217 @@
+#!/usr/bin/env node
+/**
+ * HSC Report CLI
+ * Batch version of the app for scripted runs: reads one or more workbooks and writes the same
+ * per-subject PDFs, plus the analysis workbook and data checks, to a folder. Works offline once
+ * installed (everything comes from node_modules). Charts are drawn with @napi-rs/canvas.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const USAGE = `Usage: hsc-report [options] <workbook...>
+
+Writes one PDF per subject for the data in the given workbooks (.xlsx, .xls, .ods, .csv).
+
+Options:
+  -o, --out <dir>        Output folder (default: reports)
+  -c, --config <file>    Report config exported from the app (sections, subjects, years, top/bottom)
+  -b, --branding <file>  Branding preset exported from the app (school name, logo, title, colours)
+  -m, --mapping <file>   Column mapping JSON, e.g. { "Subject": "Course" }, for unrecognised headers
+  -s, --sheets <names>   Comma-separated sheets to read (default: every sheet with data)
+      --separate         Report on each workbook on its own, in a subfolder named after it
+      --combined         Also write the whole-school PDF
+      --overview         Also write the school overview PDF
+      --no-export        Skip the analysis workbook
+  -q, --quiet            Only print warnings and errors
+  -v, --verbose          Also print the modules' own logging
+  -h, --help             Show this help`;
+
+const CLI = {
+    options: null,
+
+    async main(argv) {
+        const options = this.parseArgs(argv);
+        this.options = options;
+        if (options.help) {
+            console.log(USAGE);
+            return 0;
+        }
+        if (options.files.length === 0) throw this.usageError('No workbooks given.');
+
+        const { ReportConfig, DataProcessor, Branding } = this.loadCore();
+        const config = options.config ? ReportConfig.normalize(this.readJson(options.config)) : ReportConfig.defaults();
+        Branding.use(options.branding ? this.readJson(options.branding) : null);
+        const mapping = options.mapping ? this.readJson(options.mapping) : null;
+
+        const batches = options.separate
+            ? options.files.map(file => ({
+                files: [file],
+                out: path.join(options.out, DataProcessor.fileBaseName({ name: path.basename(file) }))
+            }))
+            : [{ files: options.files, out: options.out }];
+
+        for (const batch of batches) {
+            await this.runBatch(batch.files, batch.out, config, mapping);
+        }
+        return 0;
+    },
+
+    parseArgs(argv) {
+        const options = {
+            files: [], out: 'reports', config: null, branding: null, mapping: null, sheets: null,
+            separate: false, combined: false, overview: false, export: true,
+            quiet: false, verbose: false, help: false
+        };
+        const value = (idx, flag) => {
+            if (idx >= argv.length || argv[idx].startsWith('-')) throw this.usageError(`${flag} needs a value.`);
+            return argv[idx];
+        };
+
+        for (let i = 0; i < argv.length; i++) {
+            const arg = argv[i];
+            switch (arg) {
+                case '-o': case '--out': options.out = value(++i, arg); break;
+                case '-c': case '--config': options.config = value(++i, arg); break;
+                case '-b': case '--branding': options.branding = value(++i, arg); break;
+                case '-m': case '--mapping': options.mapping = value(++i, arg); break;
+                case '-s': case '--sheets': options.sheets = value(++i, arg).split(',').map(s => s.trim()).filter(Boolean); break;
+                case '--separate': options.separate = true; break;
+                case '--combined': options.combined = true; break;
+                case '--overview': options.overview = true; break;
+                case '--no-export': options.export = false; break;
+                case '-q': case '--quiet': options.quiet = true; break;
+                case '-v': case '--verbose': options.verbose = true; break;
+                case '-h': case '--help': options.help = true; break;
+                default:
+                    if (arg.startsWith('-')) throw this.usageError(`Unknown option: ${arg}`);
+                    options.files.push(arg);
+            }
+        }
+        return options;
+    },
+
+    usageError(message) {
+        const err = new Error(`${message}\n\n${USAGE}`);
+        err.usage = true;
+        return err;
+    },
+
+    // The browser modules plus the Node stand-ins for Chart.js and its canvas
+    loadCore() {
+        if (!this.options.verbose) console.log = () => { }; // The modules' progress logging
+
+        const core = require('./core');
+        const { createCanvas } = require('@napi-rs/canvas');
+        globalThis.Chart = require('chart.js/auto');
+        globalThis.ChartDataLabels = require('chartjs-plugin-datalabels');
+        core.ChartRenderer.canvasFactory = (width, height) => createCanvas(width, height);
+        return core;
+    },
+
+    readJson(file) {
+        try {
+            return JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (err) {
+            throw new Error(`Could not read ${file}: ${err.message}`);
+        }
+    },
+
+    log(message) {
+        if (!this.options.quiet) process.stderr.write(message + '\n');
+    },
+
+    // ---------------- ONE REPORT RUN ---------------- //
+    async runBatch(files, outDir, config, mapping) {
+        const { ImportClient, DataProcessor, DataValidator, ReportConfig, ChartGenerator, PdfGenerator, SchoolOverview, AnalysisExporter } = require('./core');
+        this.log(`Reading ${files.join(', ')}`);
+
+        // Stand-ins for browser File objects: ImportJobs only needs the name and the bytes
+        const sources = await ImportClient.read(files.map(file => ({
+            name: path.basename(file),
+            arrayBuffer: () => fs.promises.readFile(file)
+        })));
+
+        const selections = [];
+        sources.forEach((source, idx) => {
+            const sheets = this.options.sheets
+                ? source.sheets.filter(sheet => this.options.sheets.includes(sheet))
+                : source.sheets;
+            if (sheets.length === 0) console.warn(`Skipping ${source.name}: none of the requested sheets`);
+            else selections.push({ source: idx, sheets });
+        });
+        if (selections.length === 0) throw new Error('No sheets to read.');
+
+        // Without --mapping each sheet's columns are guessed from its own headers (see DataProcessor.parseSheet),
+        // so workbooks exported with different headers can be read together; check each one can be
+        for (const selection of selections) {
+            const { headers } = await ImportClient.inspect([selection]);
+            const missing = headers.length === 0 ? [] : DataProcessor.missingRequiredFields(mapping || DataProcessor.suggestMapping(headers));
+            if (missing.length > 0) {
+                throw new Error(`Could not find a column for: ${missing.join(', ')} in ${sources[selection.source].name}.\n` +
+                    `Columns found: ${headers.join(', ')}\nPass --mapping with a JSON file like { "${missing[0]}": "<column name>" }.`);
+            }
+        }
+
+        const processedData = await ImportClient.parse(selections, mapping);
+        if (processedData.stats.validRows === 0) {
+            throw new Error('No usable rows were found. Check the sheets have Subject, Year and Question (Item) columns.');
+        }
+
+        fs.mkdirSync(outDir, { recursive: true });
+        const { errors, warnings } = DataValidator.summarize(processedData.issues);
+        if (processedData.issues.length > 0) {
+            this.write(outDir, 'hsc-data-checks.csv', DataValidator.toCSV(processedData.issues));
+            console.warn(`${errors} error(s) and ${warnings} warning(s) in the data, see hsc-data-checks.csv`);
+        }
+
+        const reportData = {
+            ...processedData,
+            grouped: ReportConfig.filterGrouped(processedData.grouped, config)
+        };
+        if (Object.keys(reportData.grouped).length === 0) throw new Error('The report config leaves out every subject and year.');
+
+        const charts = await ChartGenerator.createAllCharts(reportData.grouped, (done, total, page) => {
+            if (done === 0 && page) this.log(`Rendering ${total} charts`);
+        }, config, reportData.classes);
+
+        this.log('Compiling PDF reports');
+        const pdfs = await PdfGenerator.createPDF(charts, reportData, config);
+        for (const pdf of pdfs) {
+            await this.writeBlob(outDir, pdf.filename, pdf.blob);
+        }
+
+        if (this.options.combined) {
+            const pages = PdfGenerator.collectPages(charts, reportData, config);
+            await this.writeBlob(outDir, 'HSC_Analysis_Whole_School.pdf', await PdfGenerator.createCombinedPDF(pages));
+        }
+        if (this.options.overview) {
+            await this.writeBlob(outDir, SchoolOverview.filename(), await SchoolOverview.createPDF(reportData.grouped));
+        }
+        if (this.options.export) {
+            const workbook = AnalysisExporter.createWorkbook(reportData.grouped, config.ranking);
+            this.write(outDir, AnalysisExporter.filename(), XLSX.write(workbook, { bookType: 'xlsx', type: 'buffer' }));
+        }
+    },
+
+    write(dir, name, data) {
+        fs.writeFileSync(path.join(dir, name), data);
+        this.log(`  wrote ${path.join(dir, name)}`);
+    },
+
+    async writeBlob(dir, name, blob) {
+        this.write(dir, name, Buffer.from(await blob.arrayBuffer()));
+    }
+};
+
+if (require.main === module) {
+    CLI.main(process.argv.slice(2)).then(
+        code => process.exit(code),
+        err => {
+            console.error(err.usage ? err.message : `Error: ${err.message}`);
+            process.exit(err.usage ? 2 : 1);
+        }
+    );
+}
+
+module.exports = CLI;
@@ -0,0 +1,38 @@
+/**
+ * Core Modules (Node)
+ * Loads the report modules outside the browser, in the same order as index.html, with the
+ * globals they share (XLSX, jspdf), and exports them:
+ *   const { DataProcessor, PdfGenerator } = require('./core');
+ * The modules still call each other by name, so they are registered as globals too.
+ * Rendering charts also needs a canvas: see cli.js for ChartRenderer.canvasFactory.
+ */
+
+const MODULES = [
+    ['DataValidator', './data-validator'],
+    ['Significance', './significance'],
+    ['QuestionId', './question-id'],
+    ['DataProcessor', './data-processor'],
+    ['ItemAnalysis', './item-analysis'],
+    ['ImportJobs', './import-jobs'],
+    ['ImportClient', './import-client'],
+    ['Ranking', './ranking'],
+    ['ReportConfig', './report-config'],
+    ['Branding', './branding'],
+    ['ClassBreakdown', './class-breakdown'],
+    ['ChartGenerator', './chart-generator'],
+    ['ChartRenderer', './chart-renderer'],
+    ['InsightGenerator', './insight-generator'],
+    ['PdfGenerator', './pdf-generator'],
+    ['SchoolOverview', './school-overview'],
+    ['AnalysisExporter', './analysis-exporter']
+];
+
+globalThis.XLSX = globalThis.XLSX || require('xlsx');
+globalThis.jspdf = globalThis.jspdf || require('jspdf');
+
+const core = {};
+MODULES.forEach(([name, path]) => {
+    core[name] = globalThis[name] = require(path);
+});
+
+module.exports = core;
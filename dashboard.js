@@ -0,0 +1,323 @@
+/**
+ * Dashboard Module
+ * Live, interactive view of the processed data (charts + question table) before PDF export.
+ */
+
+const Dashboard = {
+    state: {
+        processedData: null,
+        chart: null,
+        subject: null,
+        year: null,
+        view: 'mc',
+        series: 0,
+        sortKey: 'Question (Item)',
+        sortDir: 1,
+        filterText: '',
+        filterType: ''
+    },
+
+    // Chart views reuse the report chart configs from ChartGenerator
+    VIEWS: [
+        { id: 'mc', label: 'MC - Success Rate' },
+        { id: 'er', label: 'ER - Success Rate' },
+        { id: 'mc-diff', label: 'MC - School vs State' },
+        { id: 'er-diff', label: 'ER - School vs State' },
+        { id: 'qpc', label: 'QPC Summary' },
+        { id: 'qpo', label: 'QPO Summary' },
+        { id: 'qpc-dual', label: 'QPC Summary (School vs State)' },
+        { id: 'qpo-dual', label: 'QPO Summary (School vs State)' },
+        { id: 'trend', label: 'Trends (all years)' }
+    ],
+
+    COLUMNS: [
+        { key: 'Question (Item)', label: 'Question', natural: true },
+        { key: 'MC/ER', label: 'MC/ER' },
+        { key: 'Question Per Content', label: 'QPC' },
+        { key: 'Question Per Outcome', label: 'QPO' },
+        { key: 'Max Mark (Item)', label: 'Max', digits: 0 },
+        { key: 'School Mean (Item)', label: 'School Mean', digits: 2 },
+        { key: 'State Mean (Item)', label: 'State Mean', digits: 2 },
+        { key: 'successRate', label: 'Success %', digits: 1 },
+        { key: 'diff', label: 'School - State', digits: 2, signed: true },
+        // Only shown when the data has N/SD columns
+        { key: 'effectSize', label: 'Effect (d)', digits: 2, signed: true, stats: true },
+        { key: 'ci', label: `${Significance.CONFIDENCE}% CI`, stats: true },
+        { key: 'significant', label: 'Significant', stats: true }
+    ],
+
+    elements: {},
+
+    init() {
+        this.elements = {
+            subject: document.getElementById('dashboard-subject'),
+            year: document.getElementById('dashboard-year'),
+            view: document.getElementById('dashboard-view'),
+            series: document.getElementById('dashboard-series'),
+            canvas: document.getElementById('dashboard-chart'),
+            emptyChart: document.getElementById('dashboard-chart-empty'),
+            resetZoom: document.getElementById('btn-reset-zoom'),
+            search: document.getElementById('question-search'),
+            typeFilter: document.getElementById('question-type-filter'),
+            tableHead: document.querySelector('#question-table thead'),
+            tableBody: document.querySelector('#question-table tbody'),
+            tableCount: document.getElementById('question-count')
+        };
+
+        this.elements.view.innerHTML = '';
+        this.VIEWS.forEach(v => this.elements.view.appendChild(this.createOption(v.id, v.label)));
+
+        this.elements.subject.addEventListener('change', () => {
+            this.state.subject = this.elements.subject.value;
+            this.populateYears();
+            this.render();
+        });
+        this.elements.year.addEventListener('change', () => {
+            this.state.year = this.elements.year.value;
+            this.render();
+        });
+        this.elements.view.addEventListener('change', () => {
+            this.state.view = this.elements.view.value;
+            this.state.series = 0;
+            this.renderChart();
+        });
+        this.elements.series.addEventListener('change', () => {
+            this.state.series = parseInt(this.elements.series.value) || 0;
+            this.renderChart();
+        });
+        this.elements.resetZoom.addEventListener('click', () => {
+            if (this.state.chart && this.state.chart.resetZoom) this.state.chart.resetZoom();
+        });
+        this.elements.search.addEventListener('input', () => {
+            this.state.filterText = this.elements.search.value.trim().toLowerCase();
+            this.renderTable();
+        });
+        this.elements.typeFilter.addEventListener('change', () => {
+            this.state.filterType = this.elements.typeFilter.value;
+            this.renderTable();
+        });
+    },
+
+    load(processedData) {
+        this.state.processedData = processedData;
+
+        const subjects = Object.keys(processedData.grouped).sort();
+        this.elements.subject.innerHTML = '';
+        subjects.forEach(s => this.elements.subject.appendChild(this.createOption(s, s)));
+
+        // Keep the current selection when the same data is reopened
+        if (!subjects.includes(this.state.subject)) this.state.subject = subjects[0] || null;
+        this.elements.subject.value = this.state.subject;
+        this.elements.view.value = this.state.view;
+
+        this.populateYears();
+        this.render();
+    },
+
+    populateYears() {
+        const years = Object.keys(this.state.processedData.grouped[this.state.subject] || {}).sort();
+        this.elements.year.innerHTML = '';
+        years.forEach(y => this.elements.year.appendChild(this.createOption(y, y)));
+
+        if (!years.includes(this.state.year)) this.state.year = years[years.length - 1] || null; // Latest year first
+        this.elements.year.value = this.state.year;
+    },
+
+    render() {
+        this.renderChart();
+        this.renderTable();
+    },
+
+    // Tear down the live chart (e.g. before the off-screen report render)
+    destroy() {
+        if (this.state.chart) {
+            this.state.chart.destroy();
+            this.state.chart = null;
+        }
+    },
+
+    currentRows() {
+        const bySubject = this.state.processedData.grouped[this.state.subject] || {};
+        return bySubject[this.state.year] || [];
+    },
+
+    // ---------------- CHART ---------------- //
+    buildConfig() {
+        const rows = this.currentRows();
+        const title = `${this.state.subject} - ${this.state.year}`;
+        const mcData = rows.filter(r => r['MC/ER'] === 'MC');
+        const erData = rows.filter(r => r['MC/ER'] === 'ER');
+
+        this.elements.series.classList.add('hidden');
+
+        switch (this.state.view) {
+            case 'mc':
+                return mcData.length > 0 ? ChartGenerator.buildMixedChartConfig(mcData, `${title} - MC`) : null;
+            case 'er':
+                return erData.length > 0 ? ChartGenerator.buildMixedChartConfig(erData, `${title} - ER`) : null;
+            case 'mc-diff':
+                return mcData.length > 0 ? ChartGenerator.buildDiffChartConfig(mcData, `${title} - MC - School vs State`) : null;
+            case 'er-diff':
+                return erData.length > 0 ? ChartGenerator.buildDiffChartConfig(erData, `${title} - ER - School vs State`) : null;
+            case 'qpc':
+            case 'qpo':
+            case 'qpc-dual':
+            case 'qpo-dual': {
+                const groupCol = this.state.view.startsWith('qpc') ? 'Question Per Content' : 'Question Per Outcome';
+                const agg = ChartGenerator.aggregateData(rows, groupCol);
+                if (agg.length === 0) return null;
+                const label = this.VIEWS.find(v => v.id === this.state.view).label;
+                return this.state.view.endsWith('-dual')
+                    ? ChartGenerator.buildSummaryDualChartConfig(agg, `${title} - ${label}`, groupCol)
+                    : ChartGenerator.buildSummaryChartConfig(agg, `${title} - ${label}`, groupCol);
+            }
+            case 'trend': {
+                const trends = ChartGenerator.buildTrendSeries(this.state.processedData.grouped[this.state.subject]);
+                if (trends.series.length === 0) return null;
+
+                this.elements.series.classList.remove('hidden');
+                this.elements.series.innerHTML = '';
+                trends.series.forEach((s, idx) => this.elements.series.appendChild(this.createOption(idx, s.titleSuffix)));
+                this.elements.series.value = this.state.series;
+
+                const series = trends.series[this.state.series] || trends.series[0];
+                return ChartGenerator.buildTrendChartConfig(trends.years, series.points,
+                    `${this.state.subject} - ${ChartGenerator.TREND_LABEL} - ${series.titleSuffix}`);
+            }
+            default:
+                return null;
+        }
+    },
+
+    // Report configs are static (fixed size, no animation); loosen them for on-screen use
+    makeInteractive(config) {
+        config.options.responsive = true;
+        config.options.maintainAspectRatio = false;
+        delete config.options.animation;
+
+        config.options.plugins.tooltip = { enabled: true, mode: 'index', intersect: false };
+        config.options.plugins.zoom = {
+            zoom: {
+                wheel: { enabled: true },
+                pinch: { enabled: true },
+                mode: 'x'
+            },
+            pan: { enabled: true, mode: 'x' }
+        };
+        return config;
+    },
+
+    renderChart() {
+        this.destroy();
+
+        const config = this.buildConfig();
+        if (!config) {
+            this.elements.canvas.classList.add('hidden');
+            this.elements.emptyChart.classList.remove('hidden');
+            return;
+        }
+
+        this.elements.canvas.classList.remove('hidden');
+        this.elements.emptyChart.classList.add('hidden');
+        this.state.chart = new Chart(this.elements.canvas, this.makeInteractive(config));
+    },
+
+    // ---------------- QUESTION TABLE ---------------- //
+    tableRows() {
+        const rows = this.currentRows().map(r => {
+            const stats = Significance.itemStats(r);
+            return {
+                ...r,
+                successRate: r['Max Mark (Item)'] ? (r['School Mean (Item)'] / r['Max Mark (Item)']) * 100 : 0,
+                diff: r['School Mean (Item)'] - r['State Mean (Item)'],
+                effectSize: stats ? stats.effectSize : null,
+                ci: stats ? Significance.formatCI(stats) : '',
+                significant: stats ? (stats.significant ? 'Yes' : 'No') : ''
+            };
+        });
+
+        const { filterText, filterType, sortKey, sortDir } = this.state;
+        const filtered = rows.filter(r => {
+            if (filterType && r['MC/ER'] !== filterType) return false;
+            if (!filterText) return true;
+            return ['Question (Item)', 'Question Per Content', 'Question Per Outcome']
+                .some(k => String(r[k] || '').toLowerCase().includes(filterText));
+        });
+
+        const column = this.COLUMNS.find(c => c.key === sortKey);
+        if (column && column.natural) {
+            const sorted = DataProcessor.sortQuestionsNaturally(filtered, sortKey);
+            return sortDir === 1 ? sorted : sorted.reverse();
+        }
+
+        // Missing values (no effect size without SDs) go last whichever way the column is sorted
+        const missing = (value) => value === null || value === undefined || value === '';
+        return filtered.sort((a, b) => {
+            const va = a[sortKey];
+            const vb = b[sortKey];
+            if (missing(va) || missing(vb)) return missing(va) - missing(vb);
+            if (typeof va === 'number' && typeof vb === 'number') return (va - vb) * sortDir;
+            return String(va).localeCompare(String(vb)) * sortDir;
+        });
+    },
+
+    visibleColumns() {
+        const hasStats = Significance.available(this.currentRows());
+        return this.COLUMNS.filter(col => !col.stats || hasStats);
+    },
+
+    renderTable() {
+        const { tableHead, tableBody, tableCount } = this.elements;
+        const columns = this.visibleColumns();
+
+        tableHead.innerHTML = '';
+        const headRow = document.createElement('tr');
+        columns.forEach(col => {
+            const th = document.createElement('th');
+            th.innerText = col.label;
+            if (col.key === this.state.sortKey) {
+                th.classList.add('sorted');
+                th.innerText += this.state.sortDir === 1 ? ' ▲' : ' ▼';
+            }
+            th.addEventListener('click', () => {
+                if (this.state.sortKey === col.key) {
+                    this.state.sortDir = -this.state.sortDir;
+                } else {
+                    this.state.sortKey = col.key;
+                    this.state.sortDir = 1;
+                }
+                this.renderTable();
+            });
+            headRow.appendChild(th);
+        });
+        tableHead.appendChild(headRow);
+
+        const rows = this.tableRows();
+        tableBody.innerHTML = '';
+        rows.forEach(r => {
+            const tr = document.createElement('tr');
+            columns.forEach(col => {
+                const td = document.createElement('td');
+                const val = r[col.key];
+                if (col.digits !== undefined && typeof val === 'number') {
+                    td.innerText = (col.signed && val > 0 ? '+' : '') + val.toFixed(col.digits);
+                    td.classList.add('numeric');
+                    if (col.signed) td.classList.add(val >= 0 ? 'positive' : 'negative');
+                } else {
+                    td.innerText = val || '';
+                }
+                tr.appendChild(td);
+            });
+            tableBody.appendChild(tr);
+        });
+
+        tableCount.innerText = `${rows.length} of ${this.currentRows().length} questions`;
+    },
+
+    createOption(value, label) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.innerText = label;
+        return option;
+    }
+};
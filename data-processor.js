@@ -4,82 +4,33 @@
  */
 
 const DataProcessor = {
-    async loadAndParse(file) {
+    // File types SheetJS can read for us
+    SUPPORTED_EXTENSIONS: ['.xlsx', '.xls', '.ods', '.csv'],
+
+    isSupportedFile(file) {
+        const name = file.name.toLowerCase();
+        return this.SUPPORTED_EXTENSIONS.some(ext => name.endsWith(ext));
+    },
+
+    // Convenience wrapper: read a file and parse the chosen sheets (first sheet by default)
+    async loadAndParse(file, options = {}) {
+        const workbook = await this.readWorkbook(file);
+        return this.parseWorkbook(workbook, {
+            sheets: options.sheets || [workbook.SheetNames[0]],
+            fallbackSubject: this.fileBaseName(file),
+            mapping: options.mapping
+        });
+    },
+
+    readWorkbook(file) {
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
 
             reader.onload = (e) => {
                 try {
                     const data = new Uint8Array(e.target.result);
-                    const workbook = XLSX.read(data, { type: 'array' });
-
-                    const firstSheetName = workbook.SheetNames[0];
-                    const worksheet = workbook.Sheets[firstSheetName];
-
-                    // SMART PARSE: Find the header row
-                    // Convert to array of arrays first to find the header
-                    const aoa = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
-
-                    let headerRowIndex = 0;
-                    let foundHeader = false;
-
-                    // Look for a row containing specific known columns
-                    // Based on user image: "Subject", "Year", "Question (Item)"
-                    const requiredCols = ['Subject', 'Year', 'Question (Item)'];
-
-                    for (let i = 0; i < Math.min(aoa.length, 20); i++) {
-                        // CRITICAL FIX: Only check first 12 columns for headers to avoid processing Base64 data
-                        // Base64 columns are typically at the end (columns 12-16 in this case)
-                        const rowSlice = aoa[i].slice(0, 12);
-                        const row = rowSlice.map(c => {
-                            // Safely convert to string, skip if too large
-                            if (c === null || c === undefined) return '';
-                            const str = String(c);
-                            if (str.length > 1000) return ''; // Skip large cells during header detection
-                            return str.trim();
-                        });
-
-                        // Check if this row has the required columns
-                        const hasSubject = row.includes('Subject');
-                        const hasQuestion = row.some(c => c.includes('Question (Item)'));
-
-                        if (hasSubject && hasQuestion) {
-                            headerRowIndex = i;
-                            foundHeader = true;
-                            console.log(`Found header at row ${i}`);
-                            break;
-                        }
-                    }
-
-                    // Now parse via sheet_to_json using the found range
-                    const json = XLSX.utils.sheet_to_json(worksheet, {
-                        range: headerRowIndex,
-                        defval: "" // Ensure empty cells exist as keys
-                    });
-
-                    // Header normalization: Map variants to standard names
-                    const normalizedJson = json.map(row => {
-                        const newRow = {};
-                        for (let key in row) {
-                            let normalizedKey = key.trim();
-                            // Handle variants for QPC
-                            if (normalizedKey.includes('Content Area') || normalizedKey.includes('(QPC)') || normalizedKey === 'QPC') {
-                                normalizedKey = 'Question Per Content';
-                            }
-                            // Handle variants for QPO
-                            else if (normalizedKey.includes('Learning Outcome') || normalizedKey.includes('(QPO)') || normalizedKey === 'QPO') {
-                                normalizedKey = 'Question Per Outcome';
-                            }
-
-                            // Only set if not already set (to avoid overwriting if both exist)
-                            if (!newRow[normalizedKey]) {
-                                newRow[normalizedKey] = row[key];
-                            }
-                        }
-                        return newRow;
-                    });
-
-                    resolve(normalizedJson);
+                    // SheetJS sniffs the format (xlsx, xls, ods, csv) from the bytes
+                    resolve(XLSX.read(data, { type: 'array' }));
                 } catch (err) {
                     console.error("Parse Error:", err);
                     reject(err);
@@ -91,6 +42,265 @@ const DataProcessor = {
         });
     },
 
+    fileBaseName(file) {
+        return file.name.replace(/\.[^.]+$/, '');
+    },
+
+    // ---------------- COLUMN MAPPING ---------------- //
+    // Canonical columns and the header spellings recognised for each (compared after normalizeHeader)
+    FIELDS: [
+        { key: 'Subject', label: 'Subject', synonyms: ['subject', 'subject name', 'course', 'course name'] },
+        { key: 'Year', label: 'Year', required: true, synonyms: ['year', 'exam year', 'hsc year', 'cohort', 'cohort year'] },
+        { key: 'Question (Item)', label: 'Question (Item)', required: true, synonyms: ['question item', 'question', 'item', 'question no', 'question number', 'question num', 'q no', 'item no', 'item number', 'qn'] },
+        { key: 'MC/ER', label: 'MC/ER', synonyms: ['mc er', 'question type', 'item type', 'type', 'mc or er'] },
+        { key: 'School Mean (Item)', label: 'School mean', required: true, synonyms: ['school mean item', 'school mean', 'school avg', 'school average', 'school mark'] },
+        { key: 'State Mean (Item)', label: 'State mean', synonyms: ['state mean item', 'state mean', 'state avg', 'state average', 'state mark', 'nsw mean'] },
+        { key: 'Max Mark (Item)', label: 'Max mark', required: true, synonyms: ['max mark item', 'max mark', 'max marks', 'maximum mark', 'full marks', 'full mark', 'out of', 'possible marks', 'max'] },
+        { key: 'Question Per Content', label: 'QPC (content area)', synonyms: ['question per content', 'qpc', 'content area', 'content', 'topic'] },
+        { key: 'Question Per Outcome', label: 'QPO (learning outcome)', synonyms: ['question per outcome', 'qpo', 'learning outcome', 'outcome', 'outcomes', 'syllabus outcome'] },
+        // Optional: enable effect sizes and confidence intervals (see Significance)
+        { key: 'School N', label: 'Cohort size (N)', stats: true, synonyms: ['school n', 'cohort size', 'n', 'number of students', 'no of students', 'students', 'candidates', 'number of candidates'] },
+        { key: 'School SD (Item)', label: 'School SD', stats: true, synonyms: ['school sd item', 'school sd', 'school standard deviation', 'school std dev', 'standard deviation', 'std dev'] },
+        { key: 'State SD (Item)', label: 'State SD', stats: true, synonyms: ['state sd item', 'state sd', 'state standard deviation', 'state std dev', 'nsw sd'] },
+        // Optional: one row per class per item, for the class breakdown (see ClassBreakdown)
+        { key: 'Class', label: 'Class / teacher', classes: true, synonyms: ['class', 'class name', 'class code', 'teaching group', 'teacher', 'class teacher'] },
+        { key: 'Class Mean (Item)', label: 'Class mean', classes: true, synonyms: ['class mean item', 'class mean', 'class avg', 'class average', 'class mark', 'teacher mean'] }
+    ],
+
+    // Too short to trust inside a longer header ("Max Band 6"), so these only match a header on their own
+    EXACT_SYNONYMS: ['max', 'n'],
+
+    MAPPING_STORAGE_KEY: 'hsc-insight-column-mappings',
+
+    normalizeHeader(header) {
+        return String(header || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+    },
+
+    // How well a header matches a field: 3 = exact synonym, 2 = contains a synonym, 0 = no match
+    headerScore(field, header) {
+        const norm = this.normalizeHeader(header);
+        if (!norm) return 0;
+        let best = 0;
+        field.synonyms.forEach((syn, idx) => {
+            // Earlier (more specific) synonyms win ties
+            const bonus = (field.synonyms.length - idx) / 100;
+            if (norm === syn) best = Math.max(best, 3 + bonus);
+            else if (!this.EXACT_SYNONYMS.includes(syn) && (' ' + norm + ' ').includes(' ' + syn + ' ')) best = Math.max(best, 2 + bonus);
+        });
+        return best;
+    },
+
+    // Best guess { fieldKey: header } for a list of headers; each header is used at most once
+    suggestMapping(headers) {
+        const candidates = [];
+        this.FIELDS.forEach(field => {
+            headers.forEach(header => {
+                const score = this.headerScore(field, header);
+                if (score > 0) candidates.push({ field: field.key, header, score });
+            });
+        });
+        candidates.sort((a, b) => b.score - a.score);
+
+        const mapping = {};
+        const used = new Set();
+        candidates.forEach(c => {
+            if (mapping[c.field] || used.has(c.header)) return;
+            mapping[c.field] = c.header;
+            used.add(c.header);
+        });
+        return mapping;
+    },
+
+    // Standard template headers map onto themselves, so no need to ask the user
+    isStandardMapping(mapping) {
+        return this.missingRequiredFields(mapping).length === 0 &&
+            Object.keys(mapping).every(key => String(mapping[key]).trim() === key ||
+                // QPC/QPO variants have always been recognised automatically, as are the optional stats and class columns
+                (key === 'Question Per Content' || key === 'Question Per Outcome') ||
+                this.FIELDS.some(f => f.key === key && (f.stats || f.classes)));
+    },
+
+    missingRequiredFields(mapping) {
+        return this.FIELDS.filter(f => f.required && !mapping[f.key]).map(f => f.key);
+    },
+
+    mappingSignature(headers) {
+        return headers.map(h => this.normalizeHeader(h)).filter(Boolean).sort().join('|');
+    },
+
+    rememberedMapping(headers) {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.MAPPING_STORAGE_KEY)) || {};
+            const mapping = saved[this.mappingSignature(headers)];
+            // Only reuse it if every mapped header is still present
+            if (mapping && Object.values(mapping).every(h => headers.includes(h))) return mapping;
+        } catch (err) {
+            console.warn('Ignoring unreadable column mappings:', err);
+        }
+        return null;
+    },
+
+    rememberMapping(headers, mapping) {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.MAPPING_STORAGE_KEY)) || {};
+            saved[this.mappingSignature(headers)] = mapping;
+            localStorage.setItem(this.MAPPING_STORAGE_KEY, JSON.stringify(saved));
+        } catch (err) {
+            console.warn('Could not save column mapping:', err);
+        }
+    },
+
+    // Header row, headers and a sample data row for each chosen sheet (for the mapping step)
+    inspectSheets(workbook, sheets) {
+        const headers = [];
+        const samples = {};
+
+        sheets.forEach(sheetName => {
+            const worksheet = workbook.Sheets[sheetName];
+            if (!worksheet) return;
+            const aoa = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
+            if (ItemAnalysis.findMatrixHeader(aoa) >= 0) return; // Marks matrices need no mapping
+            const { headerRowIndex, found } = this.findHeaderRow(aoa);
+            if (!found && sheets.length > 1) return;
+
+            const headerRow = (aoa[headerRowIndex] || []).map(c => this.safeCell(c));
+            const sampleRow = aoa[headerRowIndex + 1] || [];
+            headerRow.forEach((header, col) => {
+                if (!header || header.startsWith('HSC_BASE64_')) return;
+                if (!headers.includes(header)) {
+                    headers.push(header);
+                    samples[header] = this.safeCell(sampleRow[col]);
+                }
+            });
+        });
+
+        return { headers, samples };
+    },
+
+    // Stringify a cell for header checks, ignoring huge (Base64) values
+    safeCell(c) {
+        if (c === null || c === undefined) return '';
+        const str = String(c);
+        if (str.length > 1000) return ''; // Skip large cells during header detection
+        return str.trim();
+    },
+
+    // SMART PARSE: the header row is the one (within the first 20) matching the most known fields
+    findHeaderRow(aoa) {
+        let best = { headerRowIndex: 0, found: false, matches: 0 };
+
+        for (let i = 0; i < Math.min(aoa.length, 20); i++) {
+            // CRITICAL FIX: Only check first 12 columns for headers to avoid processing Base64 data
+            // Base64 columns are typically at the end (columns 12-16 in this case)
+            const row = (aoa[i] || []).slice(0, 12).map(c => this.safeCell(c)).filter(Boolean);
+
+            const questionField = this.FIELDS.find(f => f.key === 'Question (Item)');
+            const hasQuestion = row.some(c => this.headerScore(questionField, c) > 0);
+            const matchedCells = row.filter(c => this.FIELDS.some(f => this.headerScore(f, c) > 0)).length;
+
+            // Needs a question column plus a couple of other recognised cells to count as a header
+            if (hasQuestion && matchedCells >= 3 && matchedCells > best.matches) {
+                best = { headerRowIndex: i, found: true, matches: matchedCells };
+            }
+        }
+
+        if (best.found) console.log(`Found header at row ${best.headerRowIndex}`);
+        return best;
+    },
+
+    // Parse several sheets into one row list (e.g. one sheet per subject)
+    // merging: skip sheets without a header row (defaults to true for several sheets)
+    parseWorkbook(workbook, { sheets, merging = sheets.length > 1, fallbackSubject = '', mapping = null }) {
+        let rows = [];
+
+        sheets.forEach(sheetName => {
+            const worksheet = workbook.Sheets[sheetName];
+            if (!worksheet) return;
+
+            // Sheets without a Subject column take the subject from the sheet name
+            // (CSVs and unnamed sheets only have "Sheet1" etc., so use the file name instead)
+            const subject = /^Sheet\d+$/i.test(sheetName) ? fallbackSubject : sheetName;
+
+            // Student x question marks: the item rows are computed (see ItemAnalysis)
+            if (ItemAnalysis.isMatrixSheet(worksheet)) {
+                const year = ItemAnalysis.yearFromName(sheetName) || ItemAnalysis.yearFromName(fallbackSubject);
+                // "Maths 2024" -> Maths, when the year came from the name
+                const named = year ? subject.replace(String(year), '').replace(/^[\s_-]+|[\s_-]+$/g, '') || subject : subject;
+                rows = rows.concat(ItemAnalysis.parseMatrixSheet(worksheet, sheetName, { subject: named, year }));
+                return;
+            }
+
+            const parsed = this.parseSheet(worksheet, mapping);
+            if (merging && !parsed.headerFound) {
+                console.warn(`Skipping sheet "${sheetName}": no header row found`);
+                return;
+            }
+
+            // Only without a Subject column: a blank cell in one is a missing value for the validator to flag
+            const fallback = parsed.fields.includes('Subject') ? '' : subject;
+            parsed.rows.forEach(row => {
+                if (!row['Subject'] && fallback) row['Subject'] = fallback;
+                row._sheet = sheetName; // Provenance for the validation report
+            });
+
+            rows = rows.concat(parsed.rows);
+        });
+
+        return rows;
+    },
+
+    // mapping: { fieldKey: header in file }; guessed from the headers when not given
+    parseSheet(worksheet, mapping = null) {
+        // Convert to array of arrays first to find the header
+        const aoa = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
+        const { headerRowIndex, found } = this.findHeaderRow(aoa);
+
+        // Now parse via sheet_to_json using the found range
+        const json = XLSX.utils.sheet_to_json(worksheet, {
+            range: headerRowIndex,
+            defval: "" // Ensure empty cells exist as keys
+        });
+
+        if (!mapping) {
+            const headers = (aoa[headerRowIndex] || []).map(c => this.safeCell(c)).filter(Boolean);
+            mapping = this.suggestMapping(headers);
+        }
+
+        // Header normalization: rename mapped columns to the standard names, keep the rest (e.g. HSC_BASE64_n)
+        const renames = {};
+        Object.keys(mapping).forEach(key => {
+            if (mapping[key]) renames[String(mapping[key]).trim()] = key;
+        });
+
+        const normalizedJson = json.map(row => {
+            // SheetJS records the 0-based sheet row of each object; keep it 1-based as Excel shows it
+            const newRow = { _row: row.__rowNum__ + 1 };
+            for (let key in row) {
+                const trimmed = key.trim();
+                const normalizedKey = renames[trimmed] || trimmed;
+
+                // Only set if not already set (to avoid overwriting if both exist)
+                if (!newRow[normalizedKey]) {
+                    newRow[normalizedKey] = row[key];
+                }
+            }
+            return newRow;
+        });
+
+        // Columns in this sheet, by their standard names (defval gives every row all of them)
+        const fields = normalizedJson.length ? Object.keys(normalizedJson[0]) : [];
+        return { rows: normalizedJson, headerFound: found, fields };
+    },
+
+    // A header row repeated part-way down a sheet: the question cell holds a header spelling
+    // ("Question (Item)", "Item No"...) rather than a question number
+    isRepeatedHeader(row) {
+        const q = String(row['Question (Item)'] || '').trim();
+        if (q.toLowerCase().startsWith('question')) return true;
+        const questionField = this.FIELDS.find(f => f.key === 'Question (Item)');
+        return this.headerScore(questionField, q) >= 3;
+    },
+
     processData(rawData) {
         console.log(`Raw rows read: ${rawData.length}`);
 
@@ -107,8 +317,7 @@ const DataProcessor = {
             const q = getVal(row, 'Question (Item)');
 
             // 1. Check for Header Repeats
-            // If the row's 'Question (Item)' starts with 'Question', it's likely a repeated header or metadata
-            if (String(q).trim().toLowerCase().startsWith('question')) return false;
+            if (this.isRepeatedHeader(row)) return false;
 
             // 2. Check for Essential Data
             // Must have a value for Subject and Year. 
@@ -128,7 +337,7 @@ const DataProcessor = {
 
         // Ensure types
         cleanData = cleanData.map(row => {
-            return {
+            const typed = {
                 ...row,
                 'Subject': String(row['Subject']).trim(),
                 'Year': parseInt(row['Year']) || String(row['Year']),
@@ -138,18 +347,52 @@ const DataProcessor = {
                 'Question Per Outcome': String(row['Question Per Outcome'] || '').trim(),
                 'School Mean (Item)': parseFloat(row['School Mean (Item)']) || 0,
                 'State Mean (Item)': parseFloat(row['State Mean (Item)']) || 0,
-                'Max Mark (Item)': parseFloat(row['Max Mark (Item)']) || 0
+                'Max Mark (Item)': parseFloat(row['Max Mark (Item)']) || 0,
+                // Optional stats columns stay null when missing rather than becoming 0
+                'School N': this.optionalNumber(row['School N']),
+                'School SD (Item)': this.optionalNumber(row['School SD (Item)']),
+                'State SD (Item)': this.optionalNumber(row['State SD (Item)'])
             };
+
+            const className = String(row['Class'] || '').trim();
+            if (className) {
+                typed['Class'] = className;
+                typed['Class Mean (Item)'] = this.optionalNumber(row['Class Mean (Item)']);
+            } else {
+                delete typed['Class'];
+                delete typed['Class Mean (Item)'];
+            }
+            return typed;
         });
 
         // 2. Group by Subject -> Year
+        // Class rows repeat each item once per class: the item is grouped once (without the
+        // class columns) and the class rows are kept alongside, by Subject -> Year -> Class
         const grouped = {};
+        const classes = {};
+        const itemRows = [];
+        const classRows = [];
+        const seenItems = new Set();
         const subjects = new Set();
         const years = new Set();
 
         cleanData.forEach(row => {
             const sub = row['Subject'];
             const yr = row['Year'];
+            const itemKey = `${sub}|${yr}|${row['Question (Item)']}`;
+
+            if (row['Class']) {
+                classRows.push(row);
+                if (!classes[sub]) classes[sub] = {};
+                if (!classes[sub][yr]) classes[sub][yr] = {};
+                if (!classes[sub][yr][row['Class']]) classes[sub][yr][row['Class']] = [];
+                classes[sub][yr][row['Class']].push(row);
+
+                if (seenItems.has(itemKey)) return;
+                const { 'Class': _class, 'Class Mean (Item)': _classMean, ...item } = row;
+                row = item;
+            }
+            seenItems.add(itemKey);
 
             subjects.add(sub);
             years.add(yr);
@@ -158,15 +401,20 @@ const DataProcessor = {
             if (!grouped[sub][yr]) grouped[sub][yr] = [];
 
             grouped[sub][yr].push(row);
+            itemRows.push(row);
         });
 
         // 3. Helper to get stats
         return {
-            raw: cleanData,
+            raw: itemRows,
             grouped: grouped, // { Subject: { Year: [rows] } }
+            classRows, // Rows with a Class, as read
+            classes, // { Subject: { Year: { Class: [rows] } } }, empty without class columns
+            issues: DataValidator.validate(rawData), // Row-level problems for the review step
             stats: {
                 totalRows: rawData.length,
-                validRows: cleanData.length,
+                validRows: itemRows.length,
+                classCount: new Set(classRows.map(r => r['Class'])).size,
                 subjectCount: subjects.size,
                 yearCount: years.size,
                 subjects: Array.from(subjects).sort(),
@@ -175,6 +423,11 @@ const DataProcessor = {
         };
     },
 
+    optionalNumber(value) {
+        const num = parseFloat(value);
+        return isNaN(num) ? null : num;
+    },
+
     generateTemplate() {
         // Use the embedded Base64 data from template-data.js
         if (typeof TEMPLATE_BASE64 === 'undefined') {
@@ -218,25 +471,9 @@ const DataProcessor = {
     },
 
     // Python equivalent: sort_questions_naturally
+    // Natural question order ("2" < "10", "21a" < "21a(ii)" < "21b", "MC 3" before ER), see QuestionId
     sortQuestionsNaturally(data, column = 'Question (Item)') {
-        return [...data].sort((a, b) => {
-            const ka = this.naturalSortKey(a[column]);
-            const kb = this.naturalSortKey(b[column]);
-
-            if (ka[0] !== kb[0]) return ka[0] - kb[0]; // Number part
-            if (ka[1] < kb[1]) return -1; // String part
-            if (ka[1] > kb[1]) return 1;
-            return 0;
-        });
-    },
-
-    naturalSortKey(s) {
-        s = String(s).trim();
-        const match = s.match(/^(\d+)([a-zA-Z]*)$/);
-        if (match) {
-            return [parseInt(match[1]), match[2].toLowerCase()];
-        }
-        return [Infinity, s]; // Non-standard formats go to end
+        return QuestionId.sort(data, column);
     },
 
     // ON-DEMAND: Reconstruct Base64 only when needed (saves memory during initial processing)
@@ -318,3 +555,5 @@ const DataProcessor = {
         }
     }
 };
+
+if (typeof module !== 'undefined' && module.exports) module.exports = DataProcessor;
@@ -0,0 +1,147 @@
+/**
+ * Data Validator Module
+ * Row-level checks on parsed rows, so problems are reported instead of silently
+ * dropped or coerced to 0 by DataProcessor.processData.
+ */
+
+const DataValidator = {
+    NUMERIC_FIELDS: ['School Mean (Item)', 'State Mean (Item)', 'Max Mark (Item)'],
+    STATS_FIELDS: ['School N', 'School SD (Item)', 'State SD (Item)'],
+    VALID_TYPES: ['MC', 'ER'],
+
+    // Returns [{ severity: 'error'|'warning', sheet, row, subject, year, question, field, value, reason }]
+    validate(rawData) {
+        const issues = [];
+        const seen = {}; // "subject|year|question" -> first sheet row
+
+        rawData.forEach(row => {
+            const add = (severity, field, reason) => issues.push({
+                severity,
+                sheet: row._sheet || '',
+                row: row._row || '',
+                subject: this.text(row['Subject']),
+                year: this.text(row['Year']),
+                question: this.text(row['Question (Item)']),
+                field,
+                value: field ? this.text(row[field]) : '',
+                reason
+            });
+
+            // Blank rows carry nothing worth reporting
+            const hasContent = Object.keys(row).some(k => !k.startsWith('_') && this.text(row[k]) !== '');
+            if (!hasContent) return;
+
+            const q = this.text(row['Question (Item)']);
+            if (DataProcessor.isRepeatedHeader(row)) {
+                add('warning', 'Question (Item)', 'Repeated header row (skipped)');
+                return;
+            }
+
+            // Rows processData drops
+            let skipped = false;
+            ['Subject', 'Year', 'Question (Item)'].forEach(field => {
+                if (!this.text(row[field])) {
+                    add('error', field, 'Missing value, row skipped');
+                    skipped = true;
+                }
+            });
+            if (skipped) return;
+
+            // Numbers processData would coerce to 0
+            const nums = {};
+            this.NUMERIC_FIELDS.forEach(field => {
+                const raw = this.text(row[field]);
+                if (raw === '') {
+                    add(field === 'State Mean (Item)' ? 'warning' : 'error', field, 'Blank, treated as 0');
+                } else if (isNaN(parseFloat(raw))) {
+                    add('error', field, 'Not a number, treated as 0');
+                } else {
+                    // parseFloat reads leading digits, so "2 marks" quietly becomes 2
+                    if (isNaN(Number(raw))) add('warning', field, `Contains text, read as ${parseFloat(raw)}`);
+                    nums[field] = parseFloat(raw);
+                }
+            });
+
+            const max = nums['Max Mark (Item)'];
+            if (max === 0) add('error', 'Max Mark (Item)', 'Max mark is 0, success rate cannot be calculated');
+            if (max < 0) add('error', 'Max Mark (Item)', 'Max mark is negative');
+
+            ['School Mean (Item)', 'State Mean (Item)'].forEach(field => {
+                if (nums[field] === undefined) return;
+                if (nums[field] < 0) add('error', field, 'Mean is negative');
+                if (max > 0 && nums[field] > max) add('error', field, `Mean is above the max mark (${max})`);
+            });
+
+            // Optional stats columns: only checked when filled in
+            this.STATS_FIELDS.forEach(field => {
+                const raw = this.text(row[field]);
+                if (raw === '') return;
+                const num = Number(raw);
+                if (isNaN(num)) {
+                    add('warning', field, 'Not a number, ignored for significance');
+                } else if (field === 'School N' && (num < 2 || !Number.isInteger(num))) {
+                    add('warning', field, 'Cohort size must be a whole number of at least 2, ignored for significance');
+                } else if (field !== 'School N' && num < 0) {
+                    add('warning', field, 'Standard deviation is negative, ignored for significance');
+                }
+            });
+
+            // Optional class columns: a class row needs a usable class mean
+            if (this.text(row['Class'])) {
+                const raw = this.text(row['Class Mean (Item)']);
+                const num = Number(raw);
+                if (raw === '' || isNaN(num)) {
+                    add('warning', 'Class Mean (Item)', `${raw === '' ? 'Blank' : 'Not a number'}, left out of class charts`);
+                } else if (num < 0 || (max > 0 && num > max)) {
+                    add('warning', 'Class Mean (Item)', `Outside 0 to the max mark (${max}), left out of class charts`);
+                }
+            }
+
+            const type = this.text(row['MC/ER']);
+            if (!this.VALID_TYPES.includes(type)) {
+                add('warning', 'MC/ER', type
+                    ? `Unknown code (expected ${this.VALID_TYPES.join(' or ')}), left out of MC/ER charts`
+                    : 'Blank, left out of MC/ER charts');
+            }
+
+            // Duplicate question IDs within one subject-year (and class, when there is one)
+            const key = `${this.text(row['Subject'])}|${parseInt(row['Year']) || this.text(row['Year'])}|${q}|${this.text(row['Class'])}`;
+            if (seen[key] !== undefined) {
+                add('error', 'Question (Item)', `Duplicate question in this subject and year (first seen on row ${seen[key]})`);
+            } else {
+                seen[key] = row._row || '?';
+            }
+        });
+
+        return issues;
+    },
+
+    text(value) {
+        if (value === null || value === undefined) return '';
+        const str = String(value).trim();
+        return str.length > 200 ? str.slice(0, 200) + '…' : str; // Never echo Base64 blobs
+    },
+
+    summarize(issues) {
+        return {
+            errors: issues.filter(i => i.severity === 'error').length,
+            warnings: issues.filter(i => i.severity === 'warning').length
+        };
+    },
+
+    toCSV(issues) {
+        const columns = [
+            ['severity', 'Severity'], ['sheet', 'Sheet'], ['row', 'Row'], ['subject', 'Subject'],
+            ['year', 'Year'], ['question', 'Question'], ['field', 'Field'], ['value', 'Value'], ['reason', 'Problem']
+        ];
+        const escape = (v) => {
+            const str = String(v === undefined || v === null ? '' : v);
+            return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+        };
+        const lines = [columns.map(c => c[1]).join(',')];
+        issues.forEach(issue => lines.push(columns.map(c => escape(issue[c[0]])).join(',')));
+        return lines.join('\r\n');
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) module.exports = DataValidator;
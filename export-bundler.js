@@ -0,0 +1,59 @@
+/**
+ * Export Bundler Module
+ * Packs the generated per-subject PDFs into a single ZIP (JSZip) with a manifest,
+ * so browsers only have to allow one download.
+ */
+
+const ExportBundler = {
+    async createZip(pdfBlobs) {
+        if (typeof JSZip === 'undefined') {
+            throw new Error('ZIP library not loaded');
+        }
+
+        const zip = new JSZip();
+        const generated = new Date();
+
+        const files = this.withUniqueNames(pdfBlobs);
+        files.forEach(pdfData => zip.file(pdfData.filename, pdfData.blob));
+        zip.file('manifest.json', JSON.stringify(this.buildManifest(files, generated), null, 2));
+
+        // PDFs are already compressed, so store them rather than deflating again
+        return zip.generateAsync({ type: 'blob', compression: 'STORE' });
+    },
+
+    // Subjects whose names sanitise to the same filename would overwrite each other in the ZIP,
+    // so repeats get _2, _3... before the extension (ignoring case, as Windows and macOS do)
+    withUniqueNames(pdfBlobs) {
+        const used = new Set();
+        return pdfBlobs.map(pdfData => {
+            const dot = pdfData.filename.lastIndexOf('.');
+            const base = dot > 0 ? pdfData.filename.slice(0, dot) : pdfData.filename;
+            const ext = dot > 0 ? pdfData.filename.slice(dot) : '';
+            let filename = pdfData.filename;
+            for (let n = 2; used.has(filename.toLowerCase()); n++) filename = `${base}_${n}${ext}`;
+            used.add(filename.toLowerCase());
+            return { ...pdfData, filename };
+        });
+    },
+
+    buildManifest(pdfBlobs, generated) {
+        return {
+            generator: 'HSC Insight',
+            generated: generated.toISOString(),
+            fileCount: pdfBlobs.length,
+            files: pdfBlobs.map(pdfData => ({
+                filename: pdfData.filename,
+                subject: pdfData.subject,
+                years: pdfData.years || [],
+                contentPages: pdfData.contentPages || 0,
+                bytes: pdfData.blob.size
+            }))
+        };
+    },
+
+    zipFilename(date = new Date()) {
+        return `HSC_Analysis_${date.toISOString().slice(0, 10)}.zip`;
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) module.exports = ExportBundler;
@@ -0,0 +1,267 @@
+/**
+ * Image Embedder Module
+ * Turns question images (PNG/JPG, or PDF pages) named by question number into the
+ * HSC_BASE64_n chunk columns read by DataProcessor.reconstructBase64. ImportClient writes
+ * them back into the uploaded workbook, which can then be downloaded.
+ */
+
+const ImageEmbedder = {
+    IMAGE_EXTENSIONS: ['.png', '.jpg', '.jpeg', '.pdf'],
+
+    // Excel cells hold at most 32,767 characters; reconstructBase64 allows 500KB per chunk
+    CHUNK_SIZE: 32000,
+    MAX_CHUNKS: 200, // reconstructBase64 ignores anything beyond this
+
+    MAX_WIDTH: 1400, // px; question scans stay legible on a landscape page
+    TARGET_SIZE: 400 * 1024, // Base64 characters per image to aim for
+    QUALITY_STEPS: [0.85, 0.7, 0.55, 0.4],
+    MAX_PDF_PAGES: 4, // A question rarely runs longer; pages are stacked into one image
+
+    PDFJS_URL: 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.min.js',
+    PDFJS_WORKER_URL: 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js',
+
+    state: {
+        processedData: null,
+        sources: [], // File names the rows were imported from
+        changedSources: new Set(), // file names with new images
+        results: [] // [{ name, question, status, ok }]
+    },
+
+    elements: {},
+
+    init(onChange) {
+        this.onChange = onChange;
+        this.elements = {
+            target: document.getElementById('embed-target'),
+            input: document.getElementById('embed-input'),
+            dropZone: document.getElementById('embed-drop-zone'),
+            tableBody: document.querySelector('#embed-table tbody'),
+            status: document.getElementById('embed-status'),
+            download: document.getElementById('btn-embed-download')
+        };
+
+        this.elements.dropZone.addEventListener('click', () => this.elements.input.click());
+        this.elements.dropZone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            this.elements.dropZone.classList.add('dragover');
+        });
+        this.elements.dropZone.addEventListener('dragleave', () => this.elements.dropZone.classList.remove('dragover'));
+        this.elements.dropZone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            this.elements.dropZone.classList.remove('dragover');
+            this.embedFiles(Array.from(e.dataTransfer.files));
+        });
+        this.elements.input.addEventListener('change', () => {
+            this.embedFiles(Array.from(this.elements.input.files));
+            this.elements.input.value = '';
+        });
+        this.elements.download.addEventListener('click', () => this.downloadWorkbooks());
+    },
+
+    load(processedData, sources) {
+        this.state.processedData = processedData;
+        this.state.sources = sources;
+        this.state.changedSources = new Set();
+        this.state.results = [];
+
+        this.elements.target.innerHTML = '';
+        Object.keys(processedData.grouped).sort().forEach(subject => {
+            Object.keys(processedData.grouped[subject]).sort().forEach(year => {
+                const option = document.createElement('option');
+                option.value = `${subject}|${year}`;
+                option.innerText = `${subject} - ${year}`;
+                this.elements.target.appendChild(option);
+            });
+        });
+
+        this.renderResults();
+    },
+
+    targetRows() {
+        const key = this.elements.target.value;
+        const idx = key.lastIndexOf('|');
+        const bySubject = this.state.processedData.grouped[key.slice(0, idx)] || {};
+        return bySubject[key.slice(idx + 1)] || [];
+    },
+
+    // ---------------- MATCHING ---------------- //
+    // "Q12a.png", "Question 12 (a).jpg" and "12_a.pdf" all give "12a"
+    questionKey(value) {
+        return String(value).trim().toLowerCase()
+            .replace(/^(question|item|q)[\s_\-.]*(?=\d)/, '')
+            .replace(/[\s_().\-]/g, '');
+    },
+
+    questionFromFilename(name) {
+        return this.questionKey(name.replace(/\.[^.]+$/, ''));
+    },
+
+    isImageFile(file) {
+        const name = file.name.toLowerCase();
+        return this.IMAGE_EXTENSIONS.some(ext => name.endsWith(ext));
+    },
+
+    // ---------------- EMBEDDING ---------------- //
+    async embedFiles(files) {
+        const rows = this.targetRows();
+        const byQuestion = {};
+        rows.forEach(row => {
+            const key = this.questionKey(row['Question (Item)']);
+            if (!byQuestion[key]) byQuestion[key] = row; // Duplicates: first row wins
+        });
+
+        for (const [idx, file] of files.entries()) {
+            const result = { name: file.name, question: this.questionFromFilename(file.name), ok: false };
+            this.elements.status.innerText = `Processing ${idx + 1} of ${files.length}: ${file.name}`;
+
+            try {
+                const row = byQuestion[result.question];
+                if (!this.isImageFile(file)) {
+                    result.status = `Not an image (use ${this.IMAGE_EXTENSIONS.join(', ')})`;
+                } else if (!row) {
+                    result.status = `No question "${result.question}" in ${this.elements.target.value.replace('|', ' - ')}`;
+                } else {
+                    const dataUrl = await this.compress(await this.loadImage(file));
+                    const chunks = this.chunk(dataUrl);
+                    await ImportClient.embed(row, chunks);
+                    this.state.changedSources.add(row._file);
+                    result.question = row['Question (Item)'];
+                    result.status = `Embedded (${(dataUrl.length / 1024).toFixed(0)}KB in ${chunks.length} chunk${chunks.length === 1 ? '' : 's'})`;
+                    result.ok = true;
+                }
+            } catch (err) {
+                console.error(`Could not embed ${file.name}:`, err);
+                result.status = `Failed: ${err.message}`;
+            }
+
+            this.state.results.unshift(result);
+            this.renderResults();
+        }
+
+        this.elements.status.innerText = '';
+        if (this.onChange) this.onChange();
+    },
+
+    // Returns a canvas; PDF pages are stacked top to bottom
+    async loadImage(file) {
+        if (file.name.toLowerCase().endsWith('.pdf')) return this.renderPdf(file);
+
+        const bitmap = await createImageBitmap(file);
+        const canvas = document.createElement('canvas');
+        canvas.width = bitmap.width;
+        canvas.height = bitmap.height;
+        canvas.getContext('2d').drawImage(bitmap, 0, 0);
+        bitmap.close();
+        return canvas;
+    },
+
+    async renderPdf(file) {
+        const pdfjs = await this.loadPdfJs();
+        const doc = await pdfjs.getDocument({ data: await file.arrayBuffer() }).promise;
+
+        const pages = [];
+        for (let n = 1; n <= Math.min(doc.numPages, this.MAX_PDF_PAGES); n++) {
+            const page = await doc.getPage(n);
+            const base = page.getViewport({ scale: 1 });
+            const viewport = page.getViewport({ scale: this.MAX_WIDTH / base.width });
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(viewport.width);
+            canvas.height = Math.round(viewport.height);
+            await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+            pages.push(canvas);
+        }
+        doc.destroy();
+
+        const stacked = document.createElement('canvas');
+        stacked.width = Math.max(...pages.map(c => c.width));
+        stacked.height = pages.reduce((h, c) => h + c.height, 0);
+        const ctx = stacked.getContext('2d');
+        let y = 0;
+        pages.forEach(c => {
+            ctx.drawImage(c, 0, y);
+            y += c.height;
+        });
+        return stacked;
+    },
+
+    // pdf.js is only needed for PDF input, so it is fetched on first use
+    loadPdfJs() {
+        if (window.pdfjsLib) return Promise.resolve(window.pdfjsLib);
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = this.PDFJS_URL;
+            script.onload = () => {
+                window.pdfjsLib.GlobalWorkerOptions.workerSrc = this.PDFJS_WORKER_URL;
+                resolve(window.pdfjsLib);
+            };
+            script.onerror = () => reject(new Error('Could not load the PDF reader'));
+            document.head.appendChild(script);
+        });
+    },
+
+    // JPEG on a white background, stepping quality then size down until it fits the target
+    compress(source) {
+        let width = Math.min(source.width, this.MAX_WIDTH);
+        let dataUrl = null;
+
+        for (let attempt = 0; attempt < 4; attempt++) {
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(width);
+            canvas.height = Math.round(source.height * width / source.width);
+            const ctx = canvas.getContext('2d');
+            ctx.fillStyle = '#ffffff';
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+            ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+
+            for (const quality of this.QUALITY_STEPS) {
+                dataUrl = canvas.toDataURL('image/jpeg', quality);
+                if (dataUrl.length <= this.TARGET_SIZE) return dataUrl;
+            }
+            width *= 0.75;
+        }
+
+        if (dataUrl.length > this.CHUNK_SIZE * this.MAX_CHUNKS) throw new Error('Image is too large even after compression');
+        return dataUrl; // Over target but still within the chunk limits
+    },
+
+    // The data URL prefix stays on the first chunk, so JPEGs are not mistaken for PNGs
+    chunk(dataUrl) {
+        const chunks = [];
+        for (let i = 0; i < dataUrl.length; i += this.CHUNK_SIZE) {
+            chunks.push(dataUrl.slice(i, i + this.CHUNK_SIZE));
+        }
+        return chunks;
+    },
+
+    // ---------------- WORKBOOK ---------------- //
+    async downloadWorkbooks() {
+        const names = this.state.sources.filter(name => this.state.changedSources.has(name));
+        for (const name of names) {
+            try {
+                const blob = await ImportClient.exportWorkbook(name);
+                App.downloadBlob(blob, `${DataProcessor.fileBaseName({ name })}_with_images.xlsx`);
+            } catch (err) {
+                console.error(`Could not export ${name}:`, err);
+                alert(`Could not export ${name}: ${err.message}`);
+            }
+        }
+    },
+
+    renderResults() {
+        const { tableBody, download } = this.elements;
+        tableBody.innerHTML = '';
+        this.state.results.forEach(result => {
+            const tr = document.createElement('tr');
+            tr.className = result.ok ? '' : 'issue-error';
+            [result.name, result.question, result.status].forEach(text => {
+                const td = document.createElement('td');
+                td.innerText = text;
+                tr.appendChild(td);
+            });
+            tableBody.appendChild(tr);
+        });
+
+        tableBody.closest('.table-container').classList.toggle('hidden', this.state.results.length === 0);
+        download.disabled = this.state.changedSources.size === 0;
+    }
+};
@@ -0,0 +1,167 @@
+/**
+ * Import Client Module
+ * Page side of the import pipeline: sends ImportJobs work to import-worker.js, relays
+ * progress and supports cancelling. Falls back to running ImportJobs on the page when
+ * workers are unavailable (opened from file://, or the worker scripts fail to load).
+ */
+
+const ImportClient = {
+    WORKER_URL: 'import-worker.js',
+
+    worker: null,
+    ready: false, // The worker has loaded its scripts
+    fallback: false, // Run on the page from now on
+    nextId: 1,
+    pending: new Map(), // id -> { type, args, onProgress, resolve, reject }
+    cancelled: false, // Page fallback only: checked at each progress step
+
+    // ---------------- JOBS ---------------- //
+    // onProgress(fraction, message) is optional on each call
+
+    read(files, onProgress) {
+        return this.run('read', [files], onProgress);
+    },
+
+    inspect(selections, onProgress) {
+        return this.run('inspect', [selections], onProgress);
+    },
+
+    parse(selections, mapping, onProgress) {
+        return this.run('parse', [selections, mapping], onProgress);
+    },
+
+    // Data URL for a row's question image, or null. Rows keep only an _image key.
+    async loadImage(row) {
+        if (!row || !row._image) return null;
+        try {
+            return await this.run('image', [row._image]);
+        } catch (err) {
+            console.error(`Could not load the image for question ${row['Question (Item)']}:`, err);
+            return null;
+        }
+    },
+
+    hasImage(row) {
+        return !!(row && row._image);
+    },
+
+    // Writes chunks into the source workbook and points the row at the new image
+    async embed(row, chunks) {
+        row._image = await this.run('embed', [this.provenance(row), chunks]);
+    },
+
+    // File name -> Blob of the (possibly edited) workbook
+    async exportWorkbook(name) {
+        const data = await this.run('exportWorkbook', [name]);
+        return new Blob([data], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+    },
+
+    // Only what ImportJobs.embed needs, rather than cloning the whole row
+    provenance(row) {
+        return { _file: row._file, _sheet: row._sheet, _row: row._row, 'Question (Item)': row['Question (Item)'] };
+    },
+
+    // Stops the running import. The worker is thrown away (with its workbooks),
+    // so the files must be uploaded again.
+    cancel() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+            this.ready = false;
+            this.pending.forEach(job => job.reject(this.cancelledError()));
+            this.pending.clear();
+        } else {
+            this.cancelled = true;
+        }
+    },
+
+    isCancelled(err) {
+        return !!(err && err.cancelled);
+    },
+
+    cancelledError() {
+        const err = new Error('Import cancelled');
+        err.cancelled = true;
+        return err;
+    },
+
+    // ---------------- DISPATCH ---------------- //
+    useWorker() {
+        return !this.fallback && typeof Worker !== 'undefined' && location.protocol !== 'file:';
+    },
+
+    run(type, args, onProgress = () => { }) {
+        if (!this.useWorker()) return this.runOnPage(type, args, onProgress);
+
+        return new Promise((resolve, reject) => {
+            const id = this.nextId++;
+            this.pending.set(id, { type, args, onProgress, resolve, reject });
+            this.getWorker().postMessage({ id, type, args });
+        });
+    },
+
+    getWorker() {
+        if (this.worker) return this.worker;
+
+        this.worker = new Worker(this.WORKER_URL);
+        this.worker.onmessage = (e) => this.handleMessage(e.data);
+        this.worker.onerror = (e) => {
+            e.preventDefault();
+            if (this.ready) {
+                console.error('Import worker error:', e.message);
+                return;
+            }
+            // Scripts failed to load: nothing is held in the worker yet, so redo its jobs here
+            console.warn('Import worker unavailable, importing on the page instead:', e.message);
+            this.fallback = true;
+            this.worker.terminate();
+            this.worker = null;
+            const jobs = [...this.pending.values()];
+            this.pending.clear();
+            jobs.forEach(job => this.runOnPage(job.type, job.args, job.onProgress).then(job.resolve, job.reject));
+        };
+        return this.worker;
+    },
+
+    handleMessage(message) {
+        if (message.type === 'ready') {
+            this.ready = true;
+            return;
+        }
+
+        const job = this.pending.get(message.id);
+        if (!job) return;
+
+        if (message.type === 'progress') {
+            job.onProgress(message.fraction, message.message);
+            return;
+        }
+
+        this.pending.delete(message.id);
+        if (message.type === 'result') job.resolve(message.result);
+        else job.reject(new Error(message.message));
+    },
+
+    // Same jobs on the main thread. Each progress step yields so the page can repaint
+    // and the Cancel button is heard (a single sheet still blocks while it parses).
+    async runOnPage(type, args, onProgress) {
+        this.cancelled = false;
+        const progress = async (fraction, message) => {
+            onProgress(fraction, message);
+            await new Promise(resolve => setTimeout(resolve, 0));
+            if (this.cancelled) throw this.cancelledError();
+        };
+
+        switch (type) {
+            case 'read': return ImportJobs.read(...args, progress);
+            case 'inspect': return ImportJobs.inspect(...args, progress);
+            case 'parse': return ImportJobs.parse(...args, progress);
+            case 'image': return ImportJobs.image(...args);
+            case 'embed': return ImportJobs.embed(...args);
+            case 'exportWorkbook': return ImportJobs.exportWorkbook(...args);
+            default: throw new Error(`Unknown import job: ${type}`);
+        }
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) module.exports = ImportClient;
@@ -0,0 +1,170 @@
+/**
+ * Import Jobs Module
+ * Reading, header detection, normalization and processData for uploaded workbooks.
+ * Runs inside import-worker.js (or on the page when workers are unavailable, see ImportClient),
+ * and keeps the workbooks and the HSC_BASE64_n image chunks here: rows only carry an
+ * _image key, and images are fetched one at a time when shown.
+ */
+
+const ImportJobs = {
+    state: {
+        sources: [], // [{ name, workbook }] from the last read; workbooks not imported are dropped
+        images: new Map() // "file|sheet|row" -> { 'Question (Item)', HSC_BASE64_n... }
+    },
+
+    // Every step reports through progress(fraction, message); it may return a promise
+    // (the main-thread fallback uses that to repaint and to stop on cancel)
+
+    // files: [File] -> [{ name, sheets }]. Replaces the previous import.
+    async read(files, progress) {
+        this.state.sources = [];
+        this.state.images = new Map();
+
+        for (const [idx, file] of files.entries()) {
+            await progress(idx / files.length, `Reading ${file.name} (${idx + 1} of ${files.length})`);
+            const data = new Uint8Array(await file.arrayBuffer());
+            // SheetJS sniffs the format (xlsx, xls, ods, csv) from the bytes
+            this.state.sources.push({ name: file.name, workbook: XLSX.read(data, { type: 'array' }) });
+        }
+
+        await progress(1, 'Read complete');
+        return this.state.sources.map(s => ({ name: s.name, sheets: s.workbook.SheetNames }));
+    },
+
+    // selections: [{ source: index, sheets: [names] }] -> { headers, samples } across all of them
+    async inspect(selections, progress) {
+        const headers = [];
+        const samples = {};
+
+        for (const [idx, { source, sheets }] of selections.entries()) {
+            const { name, workbook } = this.source(source);
+            await progress(idx / selections.length, `Checking columns in ${name}`);
+            const info = DataProcessor.inspectSheets(workbook, sheets);
+            info.headers.forEach(h => {
+                if (headers.includes(h)) return;
+                headers.push(h);
+                samples[h] = info.samples[h];
+            });
+        }
+
+        return { headers, samples };
+    },
+
+    // -> processData result, with image chunks moved out of the rows
+    async parse(selections, mapping, progress) {
+        const total = selections.reduce((n, s) => n + s.sheets.length, 0);
+        let done = 0;
+        let data = [];
+
+        for (const selection of selections) {
+            const { name, workbook } = this.source(selection.source);
+            const sheets = selection.sheets;
+            for (const sheet of sheets) {
+                await progress(done / (total + 1), `Parsing ${name} › ${sheet}`);
+                const rows = DataProcessor.parseWorkbook(workbook, {
+                    sheets: [sheet],
+                    merging: sheets.length > 1,
+                    fallbackSubject: DataProcessor.fileBaseName({ name }),
+                    mapping
+                });
+                rows.forEach(row => {
+                    row._file = name;
+                    this.detachImage(row);
+                });
+                data = data.concat(rows);
+                done++;
+            }
+        }
+
+        // Only the imported workbooks are needed from here on (for writing images back)
+        const used = new Set(selections.map(s => s.source));
+        this.state.sources = this.state.sources.map((s, idx) => used.has(idx) ? s : null);
+
+        await progress(total / (total + 1), `Checking ${data.length} rows`);
+        const processed = DataProcessor.processData(data);
+        await progress(1, 'Import complete');
+        return processed;
+    },
+
+    source(idx) {
+        const source = this.state.sources[idx];
+        if (!source) throw new Error('The uploaded file is no longer loaded. Please upload it again.');
+        return source;
+    },
+
+    // ---------------- IMAGES ---------------- //
+    isChunkKey(key) {
+        return /^HSC_BASE64_\d+$/.test(key);
+    },
+
+    imageKey(row) {
+        return `${row._file}|${row._sheet}|${row._row}`;
+    },
+
+    detachImage(row) {
+        const chunks = { 'Question (Item)': row['Question (Item)'] };
+        let found = false;
+        Object.keys(row).filter(k => this.isChunkKey(k)).forEach(k => {
+            if (row[k]) {
+                chunks[k] = row[k];
+                found = true;
+            }
+            delete row[k];
+        });
+        if (!found) return;
+
+        row._image = this.imageKey(row);
+        this.state.images.set(row._image, chunks);
+    },
+
+    // key -> data URL, or null
+    image(key) {
+        return DataProcessor.reconstructBase64(this.state.images.get(key));
+    },
+
+    // Stores new chunks for a row and writes them into its source workbook. Returns the image key.
+    embed(row, chunks) {
+        const source = this.state.sources.find(s => s && s.name === row._file);
+        const worksheet = source && source.workbook.Sheets[row._sheet];
+        if (!worksheet || !row._row) throw new Error('Cannot find the source row in the uploaded workbook');
+
+        const aoa = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
+        const { headerRowIndex } = DataProcessor.findHeaderRow(aoa);
+        const range = XLSX.utils.decode_range(worksheet['!ref']);
+
+        // Existing chunk columns by number; missing ones are added after the last column
+        const columns = {};
+        (aoa[headerRowIndex] || []).forEach((header, col) => {
+            const match = /^HSC_BASE64_(\d+)$/.exec(String(header || '').trim());
+            if (match) columns[match[1]] = col;
+        });
+
+        const r = row._row - 1;
+        Object.values(columns).forEach(col => delete worksheet[XLSX.utils.encode_cell({ r, c: col })]);
+
+        const stored = { 'Question (Item)': row['Question (Item)'] };
+        chunks.forEach((chunk, idx) => {
+            const n = idx + 1;
+            if (columns[n] === undefined) {
+                columns[n] = ++range.e.c;
+                worksheet[XLSX.utils.encode_cell({ r: headerRowIndex, c: columns[n] })] = { t: 's', v: `HSC_BASE64_${n}` };
+            }
+            worksheet[XLSX.utils.encode_cell({ r, c: columns[n] })] = { t: 's', v: chunk };
+            stored[`HSC_BASE64_${n}`] = chunk;
+        });
+
+        worksheet['!ref'] = XLSX.utils.encode_range(range);
+        const key = this.imageKey(row);
+        this.state.images.set(key, stored);
+        return key;
+    },
+
+    // File name -> .xlsx bytes (ArrayBuffer)
+    exportWorkbook(name) {
+        const source = this.state.sources.find(s => s && s.name === name);
+        if (!source) throw new Error(`${name} is no longer loaded`);
+        return XLSX.write(source.workbook, { bookType: 'xlsx', type: 'array' });
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) module.exports = ImportJobs;
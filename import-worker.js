@@ -0,0 +1,38 @@
+/**
+ * Import Worker
+ * Runs ImportJobs off the main thread so large workbooks (full of Base64 image columns)
+ * don't freeze the page. Messages: { id, type, args } in; { id, type: 'progress' | 'result' | 'error' } out.
+ * See ImportClient for the page side.
+ */
+
+importScripts(
+    'https://cdn.sheetjs.com/xlsx-0.20.1/package/dist/xlsx.full.min.js',
+    'data-validator.js',
+    'data-processor.js',
+    'item-analysis.js',
+    'import-jobs.js'
+);
+
+const JOBS = {
+    read: (files, progress) => ImportJobs.read(files, progress),
+    inspect: (selections, progress) => ImportJobs.inspect(selections, progress),
+    parse: (selections, mapping, progress) => ImportJobs.parse(selections, mapping, progress),
+    image: (key) => ImportJobs.image(key),
+    embed: (row, chunks) => ImportJobs.embed(row, chunks),
+    exportWorkbook: (name) => ImportJobs.exportWorkbook(name)
+};
+
+self.onmessage = async (e) => {
+    const { id, type, args } = e.data;
+    const progress = (fraction, message) => self.postMessage({ id, type: 'progress', fraction, message });
+
+    try {
+        const result = await JOBS[type](...args, progress);
+        // Workbook bytes are handed over rather than copied
+        self.postMessage({ id, type: 'result', result }, result instanceof ArrayBuffer ? [result] : []);
+    } catch (err) {
+        self.postMessage({ id, type: 'error', message: err.message });
+    }
+};
+
+self.postMessage({ type: 'ready' });
@@ -0,0 +1,156 @@
+/**
+ * Insight Generator Module
+ * Rules-based plain-English commentary for each subject-year, used for the
+ * "Executive Summary" page at the start of each year in the PDF.
+ */
+
+const InsightGenerator = {
+    NEAR_STATE: 1, // Gaps under this many percentage points count as "in line with the state"
+    GAP_ITEMS: 3, // Items listed under the largest gaps below the state
+
+    // One summary page per subject-year: { type: 'insights', section: 'insights', paragraphs }
+    generatePages(groupedData) {
+        const pages = [];
+        Object.keys(groupedData).forEach(subject => {
+            Object.keys(groupedData[subject]).forEach(year => {
+                const paragraphs = this.summarize(groupedData[subject][year]);
+                if (paragraphs.length === 0) return;
+                pages.push({
+                    type: 'insights',
+                    section: 'insights',
+                    subject, year,
+                    title: `${subject} - ${year} - Executive Summary`,
+                    paragraphs
+                });
+            });
+        });
+        return pages;
+    },
+
+    // [{ heading, text }]; paragraphs with nothing to say are left out
+    summarize(rows) {
+        const scored = rows.filter(r => r['Max Mark (Item)'] > 0);
+        if (scored.length === 0) return [];
+
+        return [
+            { heading: 'Overall', text: this.overall(scored) },
+            { heading: 'Content areas (QPC)', text: this.areas(scored, 'Question Per Content', 'content area') },
+            { heading: 'Learning outcomes (QPO)', text: this.areas(scored, 'Question Per Outcome', 'outcome') },
+            { heading: 'Multiple choice vs extended response', text: this.mcVsEr(scored) },
+            { heading: 'Largest gaps below the state', text: this.negativeGaps(scored) }
+        ].filter(p => p.text);
+    },
+
+    // ---------------- RULES ---------------- //
+    overall(rows) {
+        const t = this.totals(rows);
+        const above = rows.filter(r => r['School Mean (Item)'] > r['State Mean (Item)']).length;
+
+        let text = `The school achieved ${this.pct(t.school)} of available marks, compared with ${this.pct(t.state)} across the state: ` +
+            `${this.compareText(t.gap)}. The school mean was above the state mean on ${above} of ${rows.length} questions.`;
+
+        const stats = Significance.groupStats(rows);
+        if (stats) {
+            text += stats.significant
+                ? ` The overall difference is statistically significant (${Significance.CONFIDENCE}% confidence).`
+                : ' The overall difference is within the range expected from chance variation in a cohort of this size.';
+        }
+        return text;
+    },
+
+    areas(rows, groupCol, noun) {
+        const groups = this.groupTotals(rows, groupCol);
+        if (groups.length < 2) return '';
+
+        const sorted = [...groups].sort((a, b) => b.gap - a.gap);
+        const best = sorted[0];
+        const worst = sorted[sorted.length - 1];
+        const describe = (g) => `${g.label} (school ${this.pct(g.school)}, state ${this.pct(g.state)}, ${this.points(g.gap)})`;
+
+        return `Strongest ${noun} relative to the state: ${describe(best)}. ` +
+            `Weakest ${noun} relative to the state: ${describe(worst)}.`;
+    },
+
+    mcVsEr(rows) {
+        const mc = rows.filter(r => r['MC/ER'] === 'MC');
+        const er = rows.filter(r => r['MC/ER'] === 'ER');
+        if (mc.length === 0 || er.length === 0) return '';
+
+        const m = this.totals(mc);
+        const e = this.totals(er);
+        let text = `Multiple-choice questions: ${this.pct(m.school)} (state ${this.pct(m.state)}, ${this.points(m.gap)}). ` +
+            `Extended-response questions: ${this.pct(e.school)} (state ${this.pct(e.state)}, ${this.points(e.gap)}). `;
+
+        const contrast = m.gap - e.gap;
+        if (Math.abs(contrast) < this.NEAR_STATE) {
+            text += 'Performance relative to the state was similar for both question types.';
+        } else {
+            const [better, worse] = contrast > 0 ? ['multiple-choice', 'extended-response'] : ['extended-response', 'multiple-choice'];
+            text += `Relative to the state, the school did ${Math.abs(contrast).toFixed(1)} percentage points better on ${better} than on ${worse} questions.`;
+        }
+        return text;
+    },
+
+    negativeGaps(rows) {
+        const below = rows
+            .map(r => ({ row: r, gap: this.itemGap(r) }))
+            .filter(g => g.gap < 0)
+            .sort((a, b) => a.gap - b.gap)
+            .slice(0, this.GAP_ITEMS);
+
+        if (below.length === 0) return 'No question had a school mean below the state mean.';
+
+        const items = below.map(({ row, gap }) => {
+            let item = `Q${row['Question (Item)']} (${this.points(gap)}; school ${row['School Mean (Item)'].toFixed(2)} vs state ` +
+                `${row['State Mean (Item)'].toFixed(2)} out of ${row['Max Mark (Item)']}`;
+            const stats = Significance.itemStats(row);
+            if (stats && !stats.significant) item += ', not significant';
+            return item + ')';
+        });
+        return `The questions furthest below the state were ${this.list(items)}.`;
+    },
+
+    // ---------------- HELPERS ---------------- //
+    // Success rates (%) from summed marks, and the School - State gap in percentage points
+    totals(rows) {
+        const max = rows.reduce((sum, r) => sum + r['Max Mark (Item)'], 0);
+        const school = rows.reduce((sum, r) => sum + r['School Mean (Item)'], 0) / max * 100;
+        const state = rows.reduce((sum, r) => sum + r['State Mean (Item)'], 0) / max * 100;
+        return { school, state, gap: school - state };
+    },
+
+    groupTotals(rows, groupCol) {
+        const groups = {};
+        rows.forEach(r => {
+            const key = String(r[groupCol] || '').trim();
+            if (!key) return;
+            if (!groups[key]) groups[key] = [];
+            groups[key].push(r);
+        });
+        return Object.keys(groups).map(label => ({ label, ...this.totals(groups[label]) }));
+    },
+
+    itemGap(row) {
+        return (row['School Mean (Item)'] - row['State Mean (Item)']) / row['Max Mark (Item)'] * 100;
+    },
+
+    compareText(gap) {
+        if (Math.abs(gap) < this.NEAR_STATE) return 'in line with the state';
+        return `${Math.abs(gap).toFixed(1)} percentage points ${gap > 0 ? 'above' : 'below'} the state`;
+    },
+
+    pct(value) {
+        return `${value.toFixed(1)}%`;
+    },
+
+    points(gap) {
+        return `${gap > 0 ? '+' : ''}${gap.toFixed(1)} pts`;
+    },
+
+    list(items) {
+        if (items.length === 1) return items[0];
+        return `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) module.exports = InsightGenerator;
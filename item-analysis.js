@@ -0,0 +1,268 @@
+/**
+ * Item Analysis Module
+ * Second input mode: a student x question marks matrix instead of pre-aggregated means.
+ * The matrix is turned into the usual item rows (school mean, N and SD computed here), plus
+ * classical item statistics: facility, discrimination, point-biserial, score distributions
+ * and the test's reliability (Cronbach's alpha).
+ *
+ * Matrix layout: a header row starting with "Student" (or Name, Candidate...) followed by the
+ * question numbers. Rows labelled like a field (Max Mark, State Mean, MC/ER, QPC, QPO, Subject,
+ * Year) give that value per question; every other labelled row is a student. Blank marks count
+ * as 0, and students with no marks at all (absent) are left out.
+ */
+
+const ItemAnalysis = {
+    STUDENT_SYNONYMS: ['student', 'student id', 'student name', 'student number', 'name', 'candidate', 'candidate number', 'srn'],
+    META_KEYS: ['Subject', 'Year', 'MC/ER', 'Max Mark (Item)', 'State Mean (Item)', 'State SD (Item)', 'Question Per Content', 'Question Per Outcome'],
+    NAME_LIKE_LABELS: ['max'], // Field spellings as likely to be a student's name, so never read as a field row
+    GROUP_FRACTION: 0.27, // Upper and lower groups for the discrimination index (Kelley)
+    ROWS_PER_PAGE: 16, // Questions per item analysis page
+
+    // ---------------- MATRIX IMPORT ---------------- //
+    // Index of the matrix header row within the first 20 rows, or -1 for an ordinary sheet
+    findMatrixHeader(aoa) {
+        for (let i = 0; i < Math.min(aoa.length, 20); i++) {
+            const row = aoa[i] || [];
+            const first = DataProcessor.normalizeHeader(row[0]);
+            const questions = row.slice(1).filter(c => DataProcessor.safeCell(c) !== '');
+            if (this.STUDENT_SYNONYMS.includes(first) && questions.length >= 2) return i;
+        }
+        return -1;
+    },
+
+    isMatrixSheet(worksheet) {
+        return !!worksheet && this.findMatrixHeader(XLSX.utils.sheet_to_json(worksheet, { header: 1 })) >= 0;
+    },
+
+    // Field key a row label stands for (see META_KEYS), or null for a student row. Only an exact
+    // field spelling counts: "Max Chen" or "Cohort Smith" merely contain one and are students.
+    metaKey(label) {
+        if (this.NAME_LIKE_LABELS.includes(DataProcessor.normalizeHeader(label))) return null;
+
+        let best = { key: null, score: 0 };
+        DataProcessor.FIELDS.filter(f => this.META_KEYS.includes(f.key)).forEach(field => {
+            const score = DataProcessor.headerScore(field, label);
+            if (score >= 3 && score > best.score) best = { key: field.key, score };
+        });
+        return best.key;
+    },
+
+    // One marks sheet -> item rows in the standard shape, with the item statistics attached.
+    // subject / year are used when the sheet has no Subject / Year row.
+    parseMatrixSheet(worksheet, sheetName, { subject = '', year = '' } = {}) {
+        const aoa = XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: '' });
+        const headerRowIndex = this.findMatrixHeader(aoa);
+        if (headerRowIndex < 0) return [];
+
+        const header = aoa[headerRowIndex];
+        const columns = []; // [{ col, question }]
+        header.forEach((cell, col) => {
+            const question = DataProcessor.safeCell(cell);
+            if (col > 0 && question) columns.push({ col, question });
+        });
+
+        const meta = {}; // field key -> [value per column]
+        const students = []; // [[mark or null per column]]
+        aoa.slice(headerRowIndex + 1).forEach(row => {
+            const label = DataProcessor.safeCell(row[0]);
+            if (!label) return;
+
+            const key = this.metaKey(label);
+            if (key) {
+                meta[key] = columns.map(({ col }) => row[col]);
+                return;
+            }
+
+            const marks = columns.map(({ col }) => {
+                const text = DataProcessor.safeCell(row[col]);
+                return text === '' ? null : parseFloat(text);
+            });
+            if (marks.some(m => m !== null && !isNaN(m))) students.push(marks.map(m => m === null || isNaN(m) ? 0 : m));
+        });
+
+        // Subject / Year rows usually repeat one value; take the first filled cell
+        const single = (key, fallback) => {
+            const value = (meta[key] || []).find(v => DataProcessor.safeCell(v) !== '');
+            return value === undefined ? fallback : value;
+        };
+        const maxMarks = columns.map((_, idx) => DataProcessor.optionalNumber((meta['Max Mark (Item)'] || [])[idx]));
+        const stats = this.analyse(students, maxMarks);
+
+        return columns.map(({ question }, idx) => {
+            const item = stats.items[idx];
+            // No _row: a question is a column here, so images can't be embedded into the matrix
+            const row = {
+                _sheet: sheetName,
+                'Subject': single('Subject', subject),
+                'Year': single('Year', year),
+                'Question (Item)': question,
+                'School Mean (Item)': item.mean === null ? '' : item.mean,
+                'School N': stats.students,
+                'School SD (Item)': item.sd === null ? '' : item.sd,
+                'Facility': item.facility,
+                'Discrimination': item.discrimination,
+                'Point Biserial': item.pointBiserial,
+                'Score Distribution': item.distribution,
+                'Reliability (Alpha)': stats.alpha
+            };
+            ['MC/ER', 'Max Mark (Item)', 'State Mean (Item)', 'State SD (Item)', 'Question Per Content', 'Question Per Outcome']
+                .forEach(key => row[key] = meta[key] ? meta[key][idx] : '');
+            return row;
+        });
+    },
+
+    // Year from a sheet or file name ("Maths 2024" -> 2024), for matrices without a Year row
+    yearFromName(name) {
+        const match = /(?:^|\D)((?:19|20)\d{2})(?:\D|$)/.exec(String(name || ''));
+        return match ? parseInt(match[1]) : '';
+    },
+
+    // ---------------- STATISTICS ---------------- //
+    // students: [[mark per item]]; maxMarks: [max per item] (null when unknown)
+    // -> { students, alpha, items: [{ mean, sd, facility, discrimination, pointBiserial, distribution }] }
+    analyse(students, maxMarks) {
+        const n = students.length;
+        const totals = students.map(marks => marks.reduce((sum, m) => sum + m, 0));
+
+        // Kelley's upper and lower 27% by total score
+        const order = totals.map((total, idx) => ({ total, idx })).sort((a, b) => a.total - b.total);
+        const groupSize = Math.floor(n * this.GROUP_FRACTION);
+        const lower = order.slice(0, groupSize).map(s => s.idx);
+        const upper = order.slice(n - groupSize).map(s => s.idx);
+
+        const items = maxMarks.map((max, i) => {
+            const marks = students.map(s => s[i]);
+            if (n === 0) return { mean: null, sd: null, facility: null, discrimination: null, pointBiserial: null, distribution: {} };
+
+            const mean = this.mean(marks);
+            const groupMean = (group) => this.mean(group.map(idx => marks[idx]));
+            const distribution = {};
+            marks.forEach(m => distribution[m] = (distribution[m] || 0) + 1);
+
+            return {
+                mean,
+                sd: n > 1 ? Math.sqrt(this.variance(marks)) : null,
+                facility: max > 0 ? mean / max : null,
+                discrimination: max > 0 && groupSize > 0 ? (groupMean(upper) - groupMean(lower)) / max : null,
+                // Corrected: against the total of the other items, so the item doesn't correlate with itself
+                pointBiserial: this.correlation(marks, totals.map((total, idx) => total - marks[idx])),
+                distribution
+            };
+        });
+
+        return { students: n, alpha: this.cronbachAlpha(students), items };
+    },
+
+    // k / (k - 1) * (1 - sum of item variances / variance of totals); null when undefined
+    cronbachAlpha(students) {
+        const k = students.length ? students[0].length : 0;
+        if (students.length < 2 || k < 2) return null;
+
+        const totalVariance = this.variance(students.map(marks => marks.reduce((sum, m) => sum + m, 0)));
+        if (!(totalVariance > 0)) return null;
+
+        let itemVariance = 0;
+        for (let i = 0; i < k; i++) itemVariance += this.variance(students.map(marks => marks[i]));
+        return (k / (k - 1)) * (1 - itemVariance / totalVariance);
+    },
+
+    mean(values) {
+        return values.reduce((sum, v) => sum + v, 0) / values.length;
+    },
+
+    // Sample variance (n - 1)
+    variance(values) {
+        if (values.length < 2) return 0;
+        const mean = this.mean(values);
+        return values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (values.length - 1);
+    },
+
+    // Pearson correlation, or null when either side doesn't vary
+    correlation(xs, ys) {
+        if (xs.length < 2) return null;
+        const mx = this.mean(xs);
+        const my = this.mean(ys);
+        let sxy = 0, sxx = 0, syy = 0;
+        xs.forEach((x, idx) => {
+            sxy += (x - mx) * (ys[idx] - my);
+            sxx += (x - mx) ** 2;
+            syy += (ys[idx] - my) ** 2;
+        });
+        return sxx > 0 && syy > 0 ? sxy / Math.sqrt(sxx * syy) : null;
+    },
+
+    // ---------------- REPORTING ---------------- //
+    // True when the rows came from a marks matrix
+    available(rows) {
+        return rows.some(r => r['Facility'] !== undefined && r['Facility'] !== null);
+    },
+
+    // { students, alpha } for one subject-year (every row of a matrix carries the same values)
+    summary(rows) {
+        const row = rows.find(r => r['Facility'] !== undefined && r['Facility'] !== null);
+        return row ? { students: row['School N'], alpha: row['Reliability (Alpha)'] } : null;
+    },
+
+    // Conventional reading of alpha for a classroom test
+    alphaLabel(alpha) {
+        if (alpha === null || alpha === undefined) return 'not available';
+        if (alpha >= 0.8) return 'good';
+        if (alpha >= 0.7) return 'acceptable';
+        if (alpha >= 0.5) return 'low';
+        return 'poor';
+    },
+
+    // Point-biserial bands: 0.3 and up discriminates well, below 0.2 needs review
+    discriminationBand(r) {
+        if (r === null || r === undefined) return 'none';
+        if (r < 0) return 'negative';
+        if (r < 0.2) return 'weak';
+        if (r < 0.3) return 'fair';
+        return 'good';
+    },
+
+    // Short review note for one item, or ''
+    flag(row) {
+        const band = this.discriminationBand(row['Point Biserial']);
+        if (band === 'negative') return 'Negative discrimination: check the marking key';
+        if (band === 'weak') return 'Weak discrimination';
+        if (row['Facility'] !== null && row['Facility'] < 0.2) return 'Very hard';
+        if (row['Facility'] !== null && row['Facility'] > 0.9) return 'Very easy';
+        return '';
+    },
+
+    // "0: 3, 1: 12, 2: 9" (marks: students), lowest mark first
+    distributionText(distribution) {
+        return Object.keys(distribution || {})
+            .sort((a, b) => parseFloat(a) - parseFloat(b))
+            .map(mark => `${mark}: ${distribution[mark]}`)
+            .join(', ');
+    },
+
+    // Item analysis table pages for each subject-year imported from a marks matrix:
+    // { type: 'itemanalysis', section: 'itemanalysis', subject, year, title, summary, rows }
+    generatePages(groupedData) {
+        const pages = [];
+        Object.keys(groupedData).forEach(subject => {
+            Object.keys(groupedData[subject]).forEach(year => {
+                const rows = groupedData[subject][year];
+                if (!this.available(rows)) return;
+
+                const items = DataProcessor.sortQuestionsNaturally(rows.filter(r => r['Facility'] !== undefined));
+                for (let i = 0; i < items.length; i += this.ROWS_PER_PAGE) {
+                    pages.push({
+                        type: 'itemanalysis',
+                        section: 'itemanalysis',
+                        subject, year,
+                        title: `${subject} - ${year} - Item Analysis${i > 0 ? ' (continued)' : ''}`,
+                        summary: this.summary(rows),
+                        rows: items.slice(i, i + this.ROWS_PER_PAGE)
+                    });
+                }
+            });
+        });
+        return pages;
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) module.exports = ItemAnalysis;
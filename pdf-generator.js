@@ -4,66 +4,88 @@
  */
 
 const PdfGenerator = {
-    async createPDF(chartImages, processedData) {
-        // NEW APPROACH: Generate separate PDFs per subject to avoid memory overflow
-        const { jsPDF } = window.jspdf;
-
-        // Group all content by subject
-        const topBottomPages = this.generateTopBottomMetadata(processedData.grouped);
-        const allPages = [
-            ...chartImages,
-            ...topBottomPages
-        ];
+    // Pseudo-year for the question bank appendix, filed after a subject's Trends chapter
+    QUESTION_BANK_LABEL: 'Question Bank',
 
-        // Group pages by subject
-        const pagesBySubject = {};
-        allPages.forEach(page => {
-            const key = `${page.subject}`;
-            if (!pagesBySubject[key]) pagesBySubject[key] = [];
-            pagesBySubject[key].push(page);
-        });
+    async createPDF(chartImages, processedData, config = ReportConfig.defaults()) {
+        // NEW APPROACH: Generate separate PDFs per subject to avoid memory overflow
+        const pagesBySubject = this.collectPages(chartImages, processedData, config);
 
         // Generate one PDF per subject
         const pdfBlobs = [];
-        const subjects = Object.keys(pagesBySubject).sort();
 
-        for (const subject of subjects) {
+        for (const subject of Object.keys(pagesBySubject)) {
             console.log(`Generating PDF for ${subject}...`);
-            const subjectPages = this.sortPages(pagesBySubject[subject]);
+            const subjectPages = pagesBySubject[subject];
             const blob = await this.createSubjectPDF(subject, subjectPages);
             pdfBlobs.push({
                 subject: subject,
                 blob: blob,
-                filename: `HSC_Analysis_${subject.replace(/[^a-z0-9]/gi, '_')}.pdf`
+                filename: `HSC_Analysis_${subject.replace(/[^a-z0-9]/gi, '_')}.pdf`,
+                years: [...new Set(subjectPages.map(p => String(p.year)))],
+                contentPages: subjectPages.length
             });
 
             // Memory cleanup between PDFs
             await new Promise(r => setTimeout(r, 100));
         }
 
-        return pdfBlobs; // Return array of {subject, blob, filename}
+        return pdfBlobs; // Return array of {subject, blob, filename, years, contentPages}
     },
 
-    async createSubjectPDF(subject, pages) {
-        const { jsPDF } = window.jspdf;
-        const pdf = new jsPDF({
-            orientation: 'landscape',
-            unit: 'in',
-            format: [11, 8.5]
+    // All report pages (charts + detail pages) grouped by subject, each list in report order
+    collectPages(chartImages, processedData, config = ReportConfig.defaults()) {
+        const topBottomPages = ReportConfig.isEnabled(config, 'topbottom')
+            ? this.generateTopBottomMetadata(processedData.grouped, config.ranking, config.rollUpParts)
+            : [];
+        const insightPages = ReportConfig.isEnabled(config, 'insights')
+            ? InsightGenerator.generatePages(processedData.grouped)
+            : [];
+        const questionBankPages = ReportConfig.isEnabled(config, 'questionbank')
+            ? this.generateQuestionBankPages(processedData.grouped)
+            : [];
+        const classPages = ReportConfig.isEnabled(config, 'classes')
+            ? ClassBreakdown.generatePages(processedData.classes || {}, processedData.grouped)
+            : [];
+        const itemAnalysisPages = ReportConfig.isEnabled(config, 'itemanalysis')
+            ? ItemAnalysis.generatePages(processedData.grouped)
+            : [];
+        const allPages = [
+            ...chartImages,
+            ...topBottomPages,
+            ...insightPages,
+            ...classPages,
+            ...itemAnalysisPages,
+            ...questionBankPages
+        ];
+
+        // Group pages by subject
+        const pagesBySubject = {};
+        allPages.forEach(page => {
+            const key = `${page.subject}`;
+            if (!pagesBySubject[key]) pagesBySubject[key] = [];
+            pagesBySubject[key].push(page);
+        });
+
+        const sorted = {};
+        Object.keys(pagesBySubject).sort().forEach(subject => {
+            sorted[subject] = this.sortPages(pagesBySubject[subject], config);
         });
+        return sorted;
+    },
+
+    async createSubjectPDF(subject, pages) {
+        const pdf = this.newDocument();
 
         // 1. Title Page
         this.addTitlePage(pdf, subject);
 
-        // 2. TOC
-        const tocEntries = pages.map((page, idx) => ({
-            subject: page.subject,
-            year: page.year,
-            title: page.title,
-            pageNumber: idx + 2
-        }));
+        // 2. TOC (linked) + bookmarks
+        const tocEntries = this.addTOCPages(pdf, pages.map((page, idx) => this.tocEntry(page, idx)));
 
-        this.addTOCPages(pdf, tocEntries);
+        const subjectNode = pdf.outline.add(null, subject, { pageNumber: 1 });
+        pdf.outline.add(subjectNode, 'Table of Contents', { pageNumber: 2 });
+        this.addOutline(pdf, tocEntries, subjectNode);
 
         // 3. Content Pages
         let pageNum = pdf.getNumberOfPages() + 1;
@@ -71,15 +93,7 @@ const PdfGenerator = {
         for (const pageItem of pages) {
             pdf.addPage();
             this.addFooter(pdf, pageNum, subject);
-
-            if (pageItem.type === 'chart') {
-                const imgProps = pdf.getImageProperties(pageItem.image);
-                const pdfWidth = 10;
-                const pdfHeight = (imgProps.height * pdfWidth) / imgProps.width;
-                pdf.addImage(pageItem.image, 'PNG', 0.5, 1, pdfWidth, pdfHeight);
-            } else if (pageItem.type === 'topbottom') {
-                this.renderTopBottomPage(pdf, pageItem);
-            }
+            await this.renderContentPage(pdf, pageItem);
 
             pageNum++;
 
@@ -92,108 +106,375 @@ const PdfGenerator = {
         return pdf.output('blob');
     },
 
+    // Whole-school PDF: master contents, then each subject's pages behind a divider page
+    async createCombinedPDF(pagesBySubject) {
+        const pdf = this.newDocument();
+        const subjects = Object.keys(pagesBySubject);
+
+        // Work out every page number up front so the contents can be written first
+        const contents = [];
+        const linesPerPage = this.TOC_LINES_PER_PAGE;
+        const tocLines = subjects.reduce((n, s) => n + 1 + this.chapters(pagesBySubject[s]).length, 0);
+        const tocPageCount = Math.max(1, Math.ceil(tocLines / linesPerPage));
+        let nextPage = 1 + tocPageCount + 1;
+
+        subjects.forEach(subject => {
+            const dividerPage = nextPage;
+            const chapters = this.chapters(pagesBySubject[subject]).map(ch => ({
+                year: ch.year,
+                count: ch.count,
+                pageNumber: dividerPage + 1 + ch.offset
+            }));
+            contents.push({ subject, pageNumber: dividerPage, chapters });
+            nextPage = dividerPage + 1 + pagesBySubject[subject].length;
+        });
+
+        // 1. Title Page
+        this.addTitlePage(pdf, 'Whole-School Report');
+
+        // 2. Master TOC
+        this.addMasterTOCPages(pdf, contents, linesPerPage);
+
+        // 3. Subjects
+        let pageNum = pdf.getNumberOfPages() + 1;
+        for (const entry of contents) {
+            pdf.addPage();
+            this.addSubjectDivider(pdf, entry);
+            this.addFooter(pdf, pageNum, entry.subject);
+
+            const subjectNode = pdf.outline.add(null, entry.subject, { pageNumber: pageNum });
+            this.addOutline(pdf, pagesBySubject[entry.subject].map((page, idx) => ({
+                ...this.tocEntry(page, idx),
+                pageNumber: pageNum + 1 + idx
+            })), subjectNode);
+            pageNum++;
+
+            for (const pageItem of pagesBySubject[entry.subject]) {
+                pdf.addPage();
+                this.addFooter(pdf, pageNum, entry.subject);
+                await this.renderContentPage(pdf, pageItem);
+                pageNum++;
+
+                // Memory management
+                if (pageNum % 2 === 0) {
+                    await new Promise(r => setTimeout(r, 20));
+                }
+            }
+        }
+
+        return pdf.output('blob');
+    },
+
+    // Consecutive runs of pages for the same year: [{ year, offset, count }]
+    chapters(pages) {
+        const result = [];
+        pages.forEach((page, idx) => {
+            const last = result[result.length - 1];
+            if (last && last.year === page.year) last.count++;
+            else result.push({ year: page.year, offset: idx, count: 1 });
+        });
+        return result;
+    },
+
+    newDocument() {
+        const { jsPDF } = globalThis.jspdf; // window.jspdf on the page; set by core.js in Node
+        const pdf = new jsPDF({
+            orientation: 'landscape',
+            unit: 'in',
+            format: [11, 8.5],
+            compress: true // Chart PNGs are stored decoded, so uncompressed reports run to megabytes per page
+        });
+        pdf.setDisplayMode('fullpage', 'continuous', 'UseOutlines'); // Show the bookmarks panel on open
+        return pdf;
+    },
+
+    async renderContentPage(pdf, pageItem) {
+        if (pageItem.type === 'chart') {
+            const imgProps = pdf.getImageProperties(pageItem.image);
+            const pdfWidth = 10;
+            const pdfHeight = (imgProps.height * pdfWidth) / imgProps.width;
+            pdf.addImage(pageItem.image, 'PNG', 0.5, 1, pdfWidth, pdfHeight);
+        } else if (pageItem.type === 'topbottom' || pageItem.type === 'question') {
+            await this.renderQuestionPage(pdf, pageItem);
+        } else if (pageItem.type === 'insights') {
+            this.renderInsightsPage(pdf, pageItem);
+        } else if (pageItem.type === 'classes') {
+            this.renderClassPage(pdf, pageItem);
+        } else if (pageItem.type === 'itemanalysis') {
+            this.renderItemAnalysisPage(pdf, pageItem);
+        }
+    },
+
+    addMasterTOCPages(pdf, contents, linesPerPage) {
+        const width = pdf.internal.pageSize.getWidth();
+        let line = linesPerPage; // Forces a page on the first entry
+        let pageCount = 0;
+
+        const nextLine = () => {
+            if (line >= linesPerPage) {
+                pdf.addPage();
+                pdf.setFontSize(20);
+                pdf.setFont(Branding.font(), "bold");
+                pdf.text(pageCount === 0 ? "Contents" : "Contents (continued)", width / 2, 1, { align: "center" });
+                pageCount++;
+                line = 0;
+            }
+            return 1.5 + 0.25 * line++;
+        };
+
+        contents.forEach(entry => {
+            let yPos = nextLine();
+            pdf.setFontSize(13);
+            pdf.setFont(Branding.font(), "bold");
+            pdf.setTextColor(...Branding.color('primaryColor'));
+            pdf.text(entry.subject, 0.5, yPos);
+            pdf.text(String(entry.pageNumber), 10.5, yPos, { align: "right" });
+            pdf.link(0.5, yPos - 0.2, 10, 0.26, { pageNumber: entry.pageNumber });
+            pdf.setTextColor(0, 0, 0);
+
+            pdf.setFontSize(10);
+            pdf.setFont(Branding.font(), "normal");
+            entry.chapters.forEach(ch => {
+                yPos = nextLine();
+                pdf.text(`• ${ch.year} (${ch.count} page${ch.count === 1 ? '' : 's'})`, 0.7, yPos);
+                pdf.text(String(ch.pageNumber), 10.5, yPos, { align: "right" });
+                pdf.link(0.7, yPos - 0.17, 9.8, 0.24, { pageNumber: ch.pageNumber });
+            });
+        });
+    },
+
+    addSubjectDivider(pdf, entry) {
+        const width = pdf.internal.pageSize.getWidth();
+        pdf.setFontSize(28);
+        pdf.setFont(Branding.font(), "bold");
+        pdf.setTextColor(...Branding.color('primaryColor'));
+        pdf.text(entry.subject, width / 2, 3.5, { align: "center" });
+        pdf.setTextColor(0, 0, 0);
+
+        pdf.setFontSize(14);
+        pdf.setFont(Branding.font(), "normal");
+        pdf.text(entry.chapters.map(ch => ch.year).join('  |  '), width / 2, 4.2, { align: "center" });
+    },
+
+    // Logo, school name, report title, subject, date and author, from the branding settings
     addTitlePage(pdf, subject) {
+        const branding = Branding.get();
         const width = pdf.internal.pageSize.getWidth();
+
+        if (branding.logo) {
+            try {
+                // Fits a 3in x 1in box above the school name
+                const props = pdf.getImageProperties(branding.logo);
+                const scale = Math.min(3 / props.width, 1 / props.height);
+                const logoWidth = props.width * scale;
+                const logoHeight = props.height * scale;
+                pdf.addImage(branding.logo, props.fileType, (width - logoWidth) / 2, 1.6 - logoHeight, logoWidth, logoHeight);
+            } catch (err) {
+                console.error("Error adding logo to PDF:", err);
+            }
+        }
+
+        if (branding.schoolName) {
+            pdf.setFontSize(16);
+            pdf.setFont(Branding.font(), "normal");
+            pdf.text(branding.schoolName, width / 2, 1.95, { align: "center" });
+        }
+
         pdf.setFontSize(24);
-        pdf.setFont("helvetica", "bold");
-        pdf.text("HSC Analysis Report - HSC Insight 2026", width / 2, 2.5, { align: "center" });
+        pdf.setFont(Branding.font(), "bold");
+        pdf.text(branding.reportTitle, width / 2, 2.5, { align: "center" });
 
         pdf.setFontSize(18);
-        pdf.setFont("helvetica", "bold");
-        pdf.setTextColor(76, 114, 176);
+        pdf.setFont(Branding.font(), "bold");
+        pdf.setTextColor(...Branding.color('primaryColor'));
         pdf.text(subject, width / 2, 3.5, { align: "center" });
         pdf.setTextColor(0, 0, 0);
 
         pdf.setFontSize(14);
-        pdf.setFont("helvetica", "normal");
-        const date = new Date().toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
-        pdf.text(`Generated: ${date}`, width / 2, 4.5, { align: "center" });
+        pdf.setFont(Branding.font(), "normal");
+        pdf.text(`${branding.date ? 'Date' : 'Generated'}: ${Branding.dateText(branding)}`, width / 2, 4.5, { align: "center" });
+        if (branding.preparedBy) pdf.text(`Prepared by: ${branding.preparedBy}`, width / 2, 4.9, { align: "center" });
     },
 
-    addTOCPages(pdf, entries) {
-        const entriesPerPage = 20;
-        const totalPages = Math.ceil(entries.length / entriesPerPage);
+    TOC_LINES_PER_PAGE: 24, // 1.5in to 7.5in at 0.25in spacing, clear of the footer
 
-        const tocPageCount = totalPages;
-        entries.forEach(e => e.pageNumber += tocPageCount);
+    // Splits TOC entries into pages of lines; a heading opens each subject-year group
+    // and is repeated (continued) when a group runs onto a new page
+    layoutTOC(entries) {
+        const pages = [];
+        let lines = null;
+
+        entries.forEach((entry, idx) => {
+            const prev = entries[idx - 1];
+            const newGroup = !prev || prev.subject !== entry.subject || prev.year !== entry.year;
+
+            // Never leave a heading alone at the bottom of a page
+            const needed = newGroup ? 2 : 1;
+            if (!lines || lines.length + needed > this.TOC_LINES_PER_PAGE) {
+                lines = [];
+                pages.push(lines);
+                if (!newGroup) lines.push({ heading: `${entry.subject} - ${entry.year} (continued)` });
+            }
+            if (newGroup) lines.push({ heading: `${entry.subject} - ${entry.year}` });
+            lines.push({ entry });
+        });
 
-        for (let i = 0; i < totalPages; i++) {
+        return pages;
+    },
+
+    // entries: [{ subject, year, title, contentIndex }] in page order. Content is assumed to start
+    // straight after the TOC, so page numbers are assigned here once the TOC length is known.
+    addTOCPages(pdf, entries) {
+        const tocPages = this.layoutTOC(entries);
+        const firstContentPage = pdf.getNumberOfPages() + tocPages.length + 1;
+        entries.forEach(e => e.pageNumber = firstContentPage + e.contentIndex);
+
+        tocPages.forEach((lines, i) => {
             pdf.addPage();
             const width = pdf.internal.pageSize.getWidth();
 
             pdf.setFontSize(20);
-            pdf.setFont("helvetica", "bold");
+            pdf.setFont(Branding.font(), "bold");
             const title = i === 0 ? "Table of Contents" : "Table of Contents (continued)";
             pdf.text(title, width / 2, 1, { align: "center" });
 
             let yPos = 1.5;
-            const pageEntries = entries.slice(i * entriesPerPage, (i + 1) * entriesPerPage);
-
-            pageEntries.forEach((entry, idx) => {
-                const prevEntry = entries[i * entriesPerPage + idx - 1];
-                if (!prevEntry || prevEntry.subject !== entry.subject || prevEntry.year !== entry.year) {
+            lines.forEach(line => {
+                if (line.heading) {
                     pdf.setFontSize(13);
-                    pdf.setFont("helvetica", "bold");
-                    pdf.setTextColor(76, 114, 176); // #4C72B0
-                    pdf.text(`${entry.subject} - ${entry.year}`, 0.5, yPos);
-                    yPos += 0.25;
+                    pdf.setFont(Branding.font(), "bold");
+                    pdf.setTextColor(...Branding.color('primaryColor'));
+                    pdf.text(line.heading, 0.5, yPos);
                     pdf.setTextColor(0, 0, 0);
-                }
+                } else {
+                    const entry = line.entry;
+                    pdf.setFontSize(10);
+                    pdf.setFont(Branding.font(), "normal");
+                    pdf.text(`• ${entry.title}`, 0.5, yPos);
 
-                pdf.setFontSize(10);
-                pdf.setFont("helvetica", "normal");
-                pdf.text(`• ${entry.title}`, 0.5, yPos);
-
-                pdf.text(String(entry.pageNumber), 10.5, yPos, { align: "right" });
+                    pdf.text(String(entry.pageNumber), 10.5, yPos, { align: "right" });
 
+                    // Whole line is clickable
+                    pdf.link(0.5, yPos - 0.17, 10, 0.24, { pageNumber: entry.pageNumber });
+                }
                 yPos += 0.25;
             });
-        }
+        });
+
+        return entries;
     },
 
+    // Bookmarks: Subject -> Year -> Section -> Chart (entries need subject, year, section, pageNumber)
+    addOutline(pdf, entries, subjectNode) {
+        let yearNode = null;
+        let sectionNode = null;
+
+        entries.forEach((entry, idx) => {
+            const prev = entries[idx - 1];
+            if (!prev || prev.year !== entry.year) {
+                yearNode = pdf.outline.add(subjectNode, String(entry.year), { pageNumber: entry.pageNumber });
+                sectionNode = null;
+            }
+            if (!sectionNode || prev.section !== entry.section || prev.year !== entry.year) {
+                sectionNode = pdf.outline.add(yearNode, this.sectionLabel(entry.section), { pageNumber: entry.pageNumber });
+            }
+            pdf.outline.add(sectionNode, entry.outlineTitle || entry.title, { pageNumber: entry.pageNumber });
+        });
+    },
+
+    sectionLabel(sectionId) {
+        const section = ReportConfig.SECTIONS.find(s => s.id === sectionId);
+        return section ? section.label : 'Other';
+    },
+
+    // TOC / bookmark entry for a report page; bookmarks drop the "Subject - Year - " prefix
+    tocEntry(page, contentIndex) {
+        const prefix = `${page.subject} - ${page.year} - `;
+        let outlineTitle = page.title.startsWith(prefix) ? page.title.slice(prefix.length) : page.title;
+        if (page.type === 'topbottom') outlineTitle += ` (Q${page.data['Question (Item)']})`;
+        if (page.type === 'question') outlineTitle = `${page.examYear} - Q${page.data['Question (Item)']}`;
+
+        return {
+            subject: page.subject,
+            year: page.year,
+            section: page.section,
+            title: page.title,
+            outlineTitle,
+            contentIndex
+        };
+    },
+
+    // Page number on the right, the school name (when set) on the left
     addFooter(pdf, pageNum, subject) {
+        const { schoolName } = Branding.get();
         const width = pdf.internal.pageSize.getWidth();
         const height = pdf.internal.pageSize.getHeight();
         pdf.setFontSize(9);
+        pdf.setFont(Branding.font(), "normal");
         pdf.setTextColor(128, 128, 128);
         pdf.text(`${subject} - Page ${pageNum}`, width - 0.5, height - 0.5, { align: "right" });
+        if (schoolName) pdf.text(schoolName, 0.5, height - 0.5);
         pdf.setTextColor(0, 0, 0);
     },
 
-    generateTopBottomMetadata(groupedData) {
+    // rollUpParts: rank whole questions, so a multi-part question gets one combined page (see QuestionId.rollUp)
+    generateTopBottomMetadata(groupedData, ranking = Ranking.defaults(), rollUpParts = false) {
         const pages = [];
 
         for (const subject of Object.keys(groupedData)) {
             for (const year of Object.keys(groupedData[subject])) {
-                const rows = groupedData[subject][year];
-
-                const withRate = rows.map(r => ({
-                    ...r,
-                    successRate: (r['School Mean (Item)'] / r['Max Mark (Item)']) * 100
-                })).sort((a, b) => b['School Mean (Item)'] - a['School Mean (Item)']);
-
-                const top5 = withRate.slice(0, 5);
-                const bottom5 = withRate.slice(-5).reverse();
+                const rows = rollUpParts ? QuestionId.rollUp(groupedData[subject][year]) : groupedData[subject][year];
+
+                Ranking.select(rows, ranking).forEach(group => {
+                    const titles = Ranking.titles(group, ranking);
+                    const kind = group.type ? `${group.type} ` : '';
+
+                    group.top.forEach(row => {
+                        pages.push({
+                            type: 'topbottom',
+                            section: 'topbottom',
+                            subject, year,
+                            title: `${subject} - ${year} - ${titles.top}`,
+                            data: row,
+                            category: `${kind}Top ${ranking.count}`,
+                            ranking: Ranking.describe(row, ranking),
+                            color: 'green'
+                        });
+                    });
 
-                top5.forEach(row => {
-                    pages.push({
-                        type: 'topbottom',
-                        subject, year,
-                        title: `${subject} - ${year} - Best Performing Questions`,
-                        data: row,
-                        category: 'Top 5',
-                        color: 'green'
+                    group.bottom.forEach(row => {
+                        pages.push({
+                            type: 'topbottom',
+                            section: 'topbottom',
+                            subject, year,
+                            title: `${subject} - ${year} - ${titles.bottom}`,
+                            data: row,
+                            category: `${kind}Bottom ${ranking.count}`,
+                            ranking: Ranking.describe(row, ranking),
+                            color: 'red'
+                        });
                     });
                 });
+            }
+        }
+        return pages;
+    },
+
+    // One detail page per question, every year, in question order (images are rebuilt at render time)
+    generateQuestionBankPages(groupedData) {
+        const pages = [];
 
-                bottom5.forEach((row, idx) => {
+        for (const subject of Object.keys(groupedData)) {
+            for (const year of Object.keys(groupedData[subject]).sort()) {
+                DataProcessor.sortQuestionsNaturally(groupedData[subject][year]).forEach(row => {
                     pages.push({
-                        type: 'topbottom',
-                        subject, year,
-                        title: `${subject} - ${year} - Questions Needing Additional Support`,
-                        data: row,
-                        category: 'Bottom 5',
-                        color: 'red'
+                        type: 'question',
+                        section: 'questionbank',
+                        subject,
+                        year: this.QUESTION_BANK_LABEL,
+                        examYear: year,
+                        title: `${subject} - ${year} - Question ${row['Question (Item)']}`,
+                        data: { ...row, successRate: Ranking.successRate(row) }
                     });
                 });
             }
@@ -201,7 +482,7 @@ const PdfGenerator = {
         return pages;
     },
 
-    sortPages(allPages) {
+    sortPages(allPages, config = ReportConfig.defaults()) {
         const groups = {};
         allPages.forEach(p => {
             const k = `${p.subject}|${p.year}`;
@@ -209,23 +490,25 @@ const PdfGenerator = {
             groups[k].push(p);
         });
 
-        const sortedKeys = Object.keys(groups).sort();
+        // Years in order, then each subject's Trends chapter, then its question bank
+        const chapterRank = (k) => {
+            if (k.endsWith(`|${ChartGenerator.TREND_LABEL}`)) return 1;
+            if (k.endsWith(`|${this.QUESTION_BANK_LABEL}`)) return 2;
+            return 0;
+        };
+        const sortedKeys = Object.keys(groups).sort((a, b) => {
+            const subjectA = a.slice(0, a.lastIndexOf('|'));
+            const subjectB = b.slice(0, b.lastIndexOf('|'));
+            if (subjectA !== subjectB) return subjectA < subjectB ? -1 : 1;
+            if (chapterRank(a) !== chapterRank(b)) return chapterRank(a) - chapterRank(b);
+            return a < b ? -1 : a > b ? 1 : 0;
+        });
 
         let result = [];
         sortedKeys.forEach(k => {
             const pages = groups[k];
-            const score = (p) => {
-                const t = p.title || '';
-                if (p.type === 'topbottom') return 35; // Individual question details
-                if (p.subType === 'performance-summary') return 25; // Summary of top/bottom
-                if (t.includes('Summary')) {
-                    if (t.includes('School vs State')) return 60; // Late
-                    return 40; // After top/bottom
-                }
-                if (t.includes('Breakdown')) return 50;
-                if (t.includes('School vs State')) return 20; // Bar chart comparison
-                return 10; // Basic MC/ER bars
-            };
+            // Section order comes from the report config; ties keep generation order
+            const score = (p) => ReportConfig.rank(config, p.section);
 
             pages.sort((a, b) => score(a) - score(b));
             result = result.concat(pages);
@@ -233,14 +516,109 @@ const PdfGenerator = {
         return result;
     },
 
-    renderTopBottomPage(pdf, pageItem) {
+    renderInsightsPage(pdf, pageItem) {
+        pdf.setFontSize(18);
+        pdf.setFont(Branding.font(), "bold");
+        pdf.text(pageItem.title, 5.5, 1, { align: "center" });
+
+        let y = 1.7;
+        const x = 1;
+        const textWidth = 9;
+
+        pageItem.paragraphs.forEach(paragraph => {
+            pdf.setFontSize(13);
+            pdf.setFont(Branding.font(), "bold");
+            pdf.setTextColor(...Branding.color('primaryColor'));
+            pdf.text(paragraph.heading, x, y);
+            pdf.setTextColor(0, 0, 0);
+            y += 0.28;
+
+            pdf.setFontSize(11);
+            pdf.setFont(Branding.font(), "normal");
+            const lines = pdf.splitTextToSize(paragraph.text, textWidth);
+            pdf.text(lines, x, y);
+            y += lines.length * 0.2 + 0.3;
+        });
+    },
+
+    // One row per class (ClassBreakdown.summary), with the school and state on the class's questions
+    renderClassPage(pdf, pageItem) {
+        const columns = [
+            { label: 'Class', width: 1.6 },
+            { label: 'Questions', width: 0.9, align: 'right' },
+            { label: 'Class %', width: 0.8, align: 'right' },
+            { label: 'School %', width: 0.8, align: 'right' },
+            { label: 'State %', width: 0.8, align: 'right' },
+            { label: 'vs School (pts)', width: 1.2, align: 'right' },
+            { label: 'Strongest area', width: 1.9 },
+            { label: 'Weakest area', width: 1.9 }
+        ];
+        const pct = (value) => value === null ? '-' : value.toFixed(1);
+        const gapOf = (c) => c.rate === null || c.school === null ? null : c.rate - c.school;
+
+        SchoolOverview.drawHeading(pdf, pageItem.title,
+            'Success rates on the questions each class sat. Areas are the content areas (QPC) furthest above / below the school.');
+        SchoolOverview.drawGrid(pdf, columns, pageItem.classes, (c) => {
+            const gap = gapOf(c);
+            return [
+                c.name, String(c.items), pct(c.rate), pct(c.school), pct(c.state),
+                gap === null ? '-' : SchoolOverview.signed(gap), c.strongest || '-', c.weakest || '-'
+            ];
+        }, 0.5, 1.75, {
+            color: (c, colIdx) => {
+                const gap = gapOf(c);
+                if (colIdx !== 5 || gap === null) return null;
+                return gap >= 0 ? [0, 128, 0] : [200, 0, 0];
+            }
+        });
+    },
+
+    // Item statistics table for questions imported from a student marks matrix (see ItemAnalysis)
+    renderItemAnalysisPage(pdf, pageItem) {
+        const columns = [
+            { label: 'Question', width: 0.9 },
+            { label: 'Max', width: 0.5, align: 'right' },
+            { label: 'Mean', width: 0.7, align: 'right' },
+            { label: 'Facility', width: 0.8, align: 'right' },
+            { label: 'Disc. (D)', width: 0.8, align: 'right' },
+            { label: 'Pt-biserial', width: 0.9, align: 'right' },
+            { label: 'Score distribution (mark: students)', width: 2.9 },
+            { label: 'Note', width: 2.5 }
+        ];
+        const fixed = (value, digits) => value === null || value === undefined ? '-' : value.toFixed(digits);
+        const { students, alpha } = pageItem.summary;
+
+        SchoolOverview.drawHeading(pdf, pageItem.title,
+            `${students} students. Reliability (Cronbach's alpha): ${fixed(alpha, 2)} (${ItemAnalysis.alphaLabel(alpha)}). ` +
+            'Facility = mean / max. D = upper 27% - lower 27% mean, over max.');
+        SchoolOverview.drawGrid(pdf, columns, pageItem.rows, (row) => [
+            row['Question (Item)'], String(row['Max Mark (Item)']), fixed(row['School Mean (Item)'], 2),
+            fixed(row['Facility'], 2), fixed(row['Discrimination'], 2), fixed(row['Point Biserial'], 2),
+            ItemAnalysis.distributionText(row['Score Distribution']), ItemAnalysis.flag(row)
+        ], 0.5, 1.75, {
+            color: (row, colIdx) => colIdx === 7 && ItemAnalysis.flag(row) ? [200, 0, 0] : null
+        });
+    },
+
+    // Detail page for one question: top/bottom pages are coloured green/red, question bank pages blue.
+    // A rolled-up question (with parts) also gets a table of its parts and each part's image.
+    async renderQuestionPage(pdf, pageItem) {
         const row = pageItem.data;
-        const color = pageItem.color === 'green' ? [0, 128, 0] : [255, 0, 0];
+        const color = { green: [0, 128, 0], red: [255, 0, 0] }[pageItem.color] || Branding.color('primaryColor');
 
         pdf.setFontSize(18);
-        pdf.setFont("helvetica", "bold");
+        pdf.setFont(Branding.font(), "bold");
         pdf.text(pageItem.title, 5.5, 1, { align: "center" });
 
+        if (pageItem.ranking) {
+            pdf.setFontSize(10);
+            pdf.setFont(Branding.font(), "italic");
+            pdf.setTextColor(100, 100, 100);
+            pdf.text(`${pageItem.category} - ${pageItem.ranking}`, 5.5, 1.35, { align: "center" });
+            pdf.setTextColor(0, 0, 0);
+            pdf.setFont(Branding.font(), "bold");
+        }
+
         let y = 1.8;
         const x = 1;
 
@@ -251,11 +629,11 @@ const PdfGenerator = {
 
         pdf.setFontSize(12);
         pdf.setTextColor(0, 0, 0);
-        pdf.setFont("helvetica", "normal");
+        pdf.setFont(Branding.font(), "normal");
         pdf.text(`MC/ER: ${row['MC/ER']}`, x, y);
         y += 0.35;
 
-        pdf.setFont("helvetica", "bold");
+        pdf.setFont(Branding.font(), "bold");
         pdf.text(`School Mean: ${row['School Mean (Item)'].toFixed(2)} / ${row['Max Mark (Item)']}`, x, y);
         y += 0.35;
 
@@ -264,55 +642,93 @@ const PdfGenerator = {
         y += 0.35;
 
         pdf.setTextColor(0, 0, 0);
-        pdf.setFont("helvetica", "normal");
+        pdf.setFont(Branding.font(), "normal");
         pdf.text(`State Mean: ${row['State Mean (Item)'].toFixed(2)}`, x, y);
-        y += 0.45;
+        y += 0.35;
 
-        pdf.setFont("helvetica", "bold");
+        const stats = Significance.itemStats(row);
+        if (stats) {
+            pdf.setFontSize(10);
+            pdf.text(Significance.describe(stats), x, y);
+            y += 0.35;
+            pdf.setFontSize(12);
+        }
+        y += 0.1;
+
+        pdf.setFont(Branding.font(), "bold");
         pdf.setFontSize(11);
         pdf.text('Content Area (QPC):', x, y);
         y += 0.25;
-        pdf.setFont("helvetica", "italic");
+        pdf.setFont(Branding.font(), "italic");
         pdf.setFontSize(10);
         pdf.text(row['Question Per Content'] || 'N/A', x + 0.2, y);
         y += 0.4;
 
-        pdf.setFont("helvetica", "bold");
+        pdf.setFont(Branding.font(), "bold");
         pdf.setFontSize(11);
         pdf.text('Learning Outcome (QPO):', x, y);
         y += 0.25;
-        pdf.setFont("helvetica", "italic");
+        pdf.setFont(Branding.font(), "italic");
         pdf.setFontSize(10);
         pdf.text(row['Question Per Outcome'] || 'N/A', x + 0.2, y);
 
-        const imageBase64 = DataProcessor.reconstructBase64(row);
+        if (row.parts) y = this.renderPartsTable(pdf, row.parts, x, y + 0.5);
 
-        if (imageBase64) {
-            try {
-                // Add Question Image
-                // We'll place it to the right of the text
-                const imgProps = pdf.getImageProperties(imageBase64);
-                const maxWidth = 5; // inches
-                const maxHeight = 4; // inches
-                let imgWidth = maxWidth;
-                let imgHeight = (imgProps.height * imgWidth) / imgProps.width;
-
-                if (imgHeight > maxHeight) {
-                    imgHeight = maxHeight;
-                    imgWidth = (imgProps.width * imgHeight) / imgProps.height;
-                }
+        const images = [];
+        for (const source of row.parts || [row]) {
+            const image = await ImportClient.loadImage(source);
+            if (image) images.push(image);
+        }
 
-                pdf.addImage(imageBase64, 'PNG', 5.5, 1.8, imgWidth, imgHeight);
-            } catch (err) {
-                console.error("Error adding question image to PDF:", err);
-                pdf.setTextColor(150);
-                pdf.setFontSize(9);
-                pdf.text("(Error rendering question image)", x, y + 0.5);
-            }
+        if (images.length > 0) {
+            // Add Question Image(s)
+            // We'll place them to the right of the text, the parts' images sharing the column
+            const maxWidth = 5; // inches
+            const maxHeight = images.length === 1 ? 4 : (6 - 0.1 * (images.length - 1)) / images.length; // inches
+            let imgY = 1.8;
+            images.forEach(imageBase64 => {
+                try {
+                    const imgProps = pdf.getImageProperties(imageBase64);
+                    let imgWidth = maxWidth;
+                    let imgHeight = (imgProps.height * imgWidth) / imgProps.width;
+
+                    if (imgHeight > maxHeight) {
+                        imgHeight = maxHeight;
+                        imgWidth = (imgProps.width * imgHeight) / imgProps.height;
+                    }
+
+                    pdf.addImage(imageBase64, 'PNG', 5.5, imgY, imgWidth, imgHeight);
+                    imgY += imgHeight + 0.1;
+                } catch (err) {
+                    console.error("Error adding question image to PDF:", err);
+                    pdf.setTextColor(150);
+                    pdf.setFontSize(9);
+                    pdf.text("(Error rendering question image)", x, y + 0.5);
+                }
+            });
         } else {
             pdf.setTextColor(150);
             pdf.setFontSize(9);
             pdf.text("(No question image provided in Excel)", x, y + 0.5);
         }
+    },
+
+    // Marks per part of a rolled-up question; returns the y below the table
+    renderPartsTable(pdf, parts, x0, y) {
+        const columns = [
+            { label: 'Part', width: 0.9 },
+            { label: 'School', width: 0.8, align: 'right' },
+            { label: 'State', width: 0.8, align: 'right' },
+            { label: 'Max', width: 0.6, align: 'right' },
+            { label: 'Success %', width: 0.9, align: 'right' }
+        ];
+
+        pdf.setTextColor(0, 0, 0);
+        return SchoolOverview.drawGrid(pdf, columns, parts, (part) => [
+            part['Question (Item)'], part['School Mean (Item)'].toFixed(2), part['State Mean (Item)'].toFixed(2),
+            String(part['Max Mark (Item)']), Ranking.successRate(part).toFixed(1)
+        ], x0, y);
     }
 };
+
+if (typeof module !== 'undefined' && module.exports) module.exports = PdfGenerator;
@@ -0,0 +1,119 @@
+/**
+ * Question Gallery Module
+ * Thumbnails of the embedded question images (HSC_BASE64_n columns) in the review step,
+ * so missing or broken images are spotted before the report is generated.
+ */
+
+const QuestionGallery = {
+    PAGE_SIZE: 48, // Thumbnails added per "Show more"
+
+    state: {
+        processedData: null,
+        key: null, // "Subject|Year"
+        shown: 0
+    },
+
+    elements: {},
+
+    init() {
+        this.elements = {
+            filter: document.getElementById('gallery-filter'),
+            summary: document.getElementById('gallery-summary'),
+            grid: document.getElementById('gallery-grid'),
+            more: document.getElementById('btn-gallery-more')
+        };
+
+        this.elements.filter.addEventListener('change', () => {
+            this.state.key = this.elements.filter.value;
+            this.render();
+        });
+        this.elements.more.addEventListener('click', () => this.renderMore());
+    },
+
+    load(processedData) {
+        this.state.processedData = processedData;
+        const grouped = processedData.grouped;
+
+        this.elements.filter.innerHTML = '';
+        Object.keys(grouped).sort().forEach(subject => {
+            Object.keys(grouped[subject]).sort().forEach(year => {
+                const option = document.createElement('option');
+                option.value = `${subject}|${year}`;
+                option.innerText = `${subject} - ${year}`;
+                this.elements.filter.appendChild(option);
+            });
+        });
+
+        this.state.key = this.elements.filter.value || null;
+        this.render();
+    },
+
+    hasImage(row) {
+        return ImportClient.hasImage(row);
+    },
+
+    currentRows() {
+        if (!this.state.key) return [];
+        const idx = this.state.key.lastIndexOf('|');
+        const bySubject = this.state.processedData.grouped[this.state.key.slice(0, idx)] || {};
+        return DataProcessor.sortQuestionsNaturally(bySubject[this.state.key.slice(idx + 1)] || []);
+    },
+
+    render() {
+        const all = this.state.processedData.raw;
+        const withImages = all.filter(r => this.hasImage(r)).length;
+        const rows = this.currentRows();
+        const here = rows.filter(r => this.hasImage(r)).length;
+
+        this.elements.summary.innerText = withImages === 0
+            ? 'No embedded question images were found. Detail pages will show the question data only.'
+            : `${here} of ${rows.length} questions here have an image (${withImages} of ${all.length} across all data).`;
+
+        this.elements.grid.innerHTML = '';
+        this.state.shown = 0;
+        if (withImages > 0) this.renderMore();
+        else this.elements.more.classList.add('hidden');
+    },
+
+    renderMore() {
+        const rows = this.currentRows();
+        const next = rows.slice(this.state.shown, this.state.shown + this.PAGE_SIZE);
+        next.forEach(row => this.elements.grid.appendChild(this.createThumbnail(row)));
+        this.state.shown += next.length;
+
+        this.elements.more.classList.toggle('hidden', this.state.shown >= rows.length);
+        this.elements.more.innerText = `Show more (${rows.length - this.state.shown} left)`;
+    },
+
+    createThumbnail(row) {
+        const figure = document.createElement('figure');
+        figure.className = 'gallery-item';
+
+        const caption = document.createElement('figcaption');
+        caption.innerText = `Q${row['Question (Item)']}`;
+
+        if (this.hasImage(row)) {
+            const img = document.createElement('img');
+            img.alt = `Question ${row['Question (Item)']}`;
+            const broken = () => {
+                figure.classList.add('missing');
+                img.remove();
+                caption.innerText += ' - image could not be read';
+            };
+            img.addEventListener('error', broken);
+            img.addEventListener('click', () => figure.classList.toggle('expanded'));
+            figure.appendChild(img);
+            // Images stay with the importer until shown
+            ImportClient.loadImage(row).then(image => {
+                if (image) img.src = image;
+                else broken();
+            });
+        } else {
+            figure.classList.add('missing');
+            caption.innerText += ' - no image';
+        }
+
+        figure.appendChild(caption);
+        return figure;
+    }
+};
@@ -0,0 +1,181 @@
+/**
+ * Question ID Module
+ * Reads question labels as written on the paper ("21a(ii)", "11 (a)", "Q5", "31.2", "MC 3",
+ * "Section II 24b") into a section, a question number and its sub-parts. Used to sort questions
+ * naturally and to roll sub-parts up into their parent question (see ReportConfig rollUpParts).
+ *
+ * Parts: at the first level a single letter is a letter part (a, b, ... including "i"), a longer
+ * roman numeral is a roman part ("5ii"), and "aii" is a letter then a roman part. Deeper levels
+ * read i, v, x as roman numerals. Digits after the number are numeric parts ("31.2", "MA12-10").
+ */
+
+const QuestionId = {
+    // Leading words that only say "question" and are dropped: "Q5", "Question 12", "Item 3"
+    QUESTION_WORDS: ['q', 'qn', 'qu', 'question', 'item', 'no'],
+    // Sections placed first, in paper order. An ID without one ("21") takes its row's MC/ER type when sorting;
+    // failing that it sorts after these, ahead of any other section ("Section II", "Module"), which sort by name
+    SECTION_ORDER: ['mc', 'er'],
+    ROMAN: /^(x{0,3})(ix|iv|v?i{0,3})$/,
+
+    // ---------------- PARSING ---------------- //
+    // -> { raw, valid, section, number, parts: [{ label, value }], parent, partLabel }
+    // valid is false for labels without a question number ("Algebra"); those sort last by name.
+    parse(value) {
+        const raw = String(value ?? '').trim();
+        const text = raw.toLowerCase();
+        const id = { raw, valid: false, section: '', number: null, parts: [], parent: raw, partLabel: '' };
+
+        const match = /^([a-z][a-z .:#_-]*?)?[\s.:#_-]*(\d+)/.exec(text);
+        if (!match) return id;
+
+        const words = (match[1] || '').split(/[\s.:#_-]+/).filter(Boolean);
+        while (words.length && this.QUESTION_WORDS.includes(words[0])) words.shift();
+        while (words.length && this.QUESTION_WORDS.includes(words[words.length - 1])) words.pop();
+
+        const numberEnd = match[0].length;
+        id.valid = true;
+        id.section = words.join(' ');
+        id.number = parseInt(match[2]);
+        id.parent = raw.slice(0, numberEnd);
+        id.partLabel = raw.slice(numberEnd).replace(/^[\s.:_-]+/, '').trim();
+        id.parts = this.parseParts(text.slice(numberEnd));
+        return id;
+    },
+
+    // "a(ii)" -> [{ label: 'a', value: 1 }, { label: 'ii', value: 2 }]; text parts that are
+    // neither letters nor numerals keep value NaN and compare by label
+    parseParts(text) {
+        const parts = [];
+        const tokens = text.match(/[a-z]+|\d+/g) || [];
+        tokens.forEach(token => {
+            if (/^\d/.test(token)) {
+                parts.push({ label: token, value: parseInt(token) });
+            } else if (parts.length === 0 && token.length === 1) {
+                parts.push(this.letterPart(token));
+            } else if (this.ROMAN.test(token)) {
+                parts.push({ label: token, value: this.romanValue(token) });
+            } else if (parts.length === 0 && this.ROMAN.test(token.slice(1))) {
+                parts.push(this.letterPart(token[0]));
+                parts.push({ label: token.slice(1), value: this.romanValue(token.slice(1)) });
+            } else if (token.length === 1) {
+                parts.push(this.letterPart(token));
+            } else {
+                parts.push({ label: token, value: NaN });
+            }
+        });
+        return parts;
+    },
+
+    letterPart(letter) {
+        return { label: letter, value: letter.charCodeAt(0) - 96 };
+    },
+
+    romanValue(numeral) {
+        const values = { i: 1, v: 5, x: 10 };
+        let total = 0;
+        for (let i = 0; i < numeral.length; i++) {
+            const value = values[numeral[i]];
+            const next = values[numeral[i + 1]] || 0;
+            total += value < next ? -value : value;
+        }
+        return total;
+    },
+
+    // ---------------- ORDERING ---------------- //
+    sectionRank(section) {
+        const idx = this.SECTION_ORDER.indexOf(section);
+        return idx >= 0 ? idx + 1 : this.SECTION_ORDER.length + 1;
+    },
+
+    // Comparator for two parse() results: section, number, then parts; a parent sorts before its parts
+    compare(a, b) {
+        if (a.valid !== b.valid) return a.valid ? -1 : 1;
+        if (!a.valid) return a.raw.localeCompare(b.raw, undefined, { numeric: true, sensitivity: 'base' });
+
+        const rank = this.sectionRank(a.section) - this.sectionRank(b.section);
+        if (rank !== 0) return rank;
+        if (a.section !== b.section) return a.section < b.section ? -1 : 1;
+        if (a.number !== b.number) return a.number - b.number;
+
+        for (let i = 0; i < Math.min(a.parts.length, b.parts.length); i++) {
+            const pa = a.parts[i];
+            const pb = b.parts[i];
+            const na = !isNaN(pa.value);
+            const nb = !isNaN(pb.value);
+            if (na && nb && pa.value !== pb.value) return pa.value - pb.value;
+            if (na !== nb) return na ? -1 : 1;
+            if (pa.label !== pb.label) return pa.label < pb.label ? -1 : 1;
+        }
+        return a.parts.length - b.parts.length;
+    },
+
+    // Copy of rows sorted by the question ID in column; question IDs without a section sort in their MC/ER section
+    sort(rows, column = 'Question (Item)') {
+        return rows
+            .map((row, idx) => {
+                const id = this.parse(row[column]);
+                const type = column === 'Question (Item)' ? String(row['MC/ER'] || '').trim().toLowerCase() : '';
+                if (id.valid && !id.section && this.SECTION_ORDER.includes(type)) id.section = type;
+                return { row, idx, id };
+            })
+            .sort((a, b) => this.compare(a.id, b.id) || a.idx - b.idx)
+            .map(entry => entry.row);
+    },
+
+    // ---------------- PARENT / CHILD ---------------- //
+    // Key shared by a question and all of its parts ("mc|3", "|21"), or null without a number
+    parentKey(value) {
+        const id = this.parse(value);
+        return id.valid ? `${id.section}|${id.number}` : null;
+    },
+
+    // Rows -> one row per parent question, in question order. Parts of a question are summed
+    // into it (max mark and school/state mean: the mean mark on the whole question) and kept
+    // under parts; a row that is already the whole question wins over its parts, so totals
+    // entered alongside parts aren't counted twice. N and SD can't be combined without the
+    // students' marks, so rolled-up rows leave them empty.
+    rollUp(rows) {
+        const groups = new Map();
+        rows.forEach(row => {
+            const id = this.parse(row['Question (Item)']);
+            const key = id.valid ? `${id.section}|${id.number}` : `?${id.raw}`;
+            if (!groups.has(key)) groups.set(key, { id, whole: null, parts: [] });
+            const group = groups.get(key);
+            if (id.valid && id.parts.length === 0 && !group.whole) group.whole = row;
+            else group.parts.push(row);
+        });
+
+        const result = [];
+        groups.forEach(group => {
+            if (group.whole) result.push(group.whole);
+            else if (group.parts.length === 1) result.push(group.parts[0]);
+            else result.push(this.combineParts(group.id.parent, this.sort(group.parts)));
+        });
+        return this.sort(result);
+    },
+
+    combineParts(label, parts) {
+        const sum = (key) => parts.reduce((total, row) => total + (Number(row[key]) || 0), 0);
+        const shared = (key) => parts.every(row => row[key] === parts[0][key]) ? parts[0][key] : '';
+        const types = new Set(parts.map(row => row['MC/ER']));
+
+        return {
+            _sheet: parts[0]._sheet,
+            'Subject': parts[0]['Subject'],
+            'Year': parts[0]['Year'],
+            'Question (Item)': label,
+            'MC/ER': types.size === 1 ? parts[0]['MC/ER'] : 'ER',
+            'Question Per Content': shared('Question Per Content'),
+            'Question Per Outcome': shared('Question Per Outcome'),
+            'School Mean (Item)': sum('School Mean (Item)'),
+            'State Mean (Item)': sum('State Mean (Item)'),
+            'Max Mark (Item)': sum('Max Mark (Item)'),
+            'School N': null,
+            'School SD (Item)': null,
+            'State SD (Item)': null,
+            parts
+        };
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) module.exports = QuestionId;
@@ -0,0 +1,102 @@
+/**
+ * Ranking Module
+ * Picks the top / bottom N questions for the performance charts, the detail pages
+ * and the analysis export. Metrics are per-mark, so a 1-mark MC item and a
+ * 20-mark essay rank fairly against each other.
+ */
+
+const Ranking = {
+    // score: higher is better; value: what is shown next to the question
+    METRICS: [
+        {
+            id: 'successRate',
+            label: 'Success rate',
+            score: (r) => Ranking.successRate(r),
+            format: (v) => `${v.toFixed(1)}%`
+        },
+        {
+            id: 'gap',
+            label: 'Gap to state',
+            score: (r) => r['Max Mark (Item)'] ? (r['School Mean (Item)'] - r['State Mean (Item)']) / r['Max Mark (Item)'] * 100 : 0,
+            format: (v) => `${v > 0 ? '+' : ''}${v.toFixed(1)} pts`
+        },
+        {
+            id: 'marksLost',
+            label: 'Marks lost',
+            score: (r) => -(r['Max Mark (Item)'] - r['School Mean (Item)']),
+            value: (r) => r['Max Mark (Item)'] - r['School Mean (Item)'],
+            format: (v) => v.toFixed(2)
+        }
+    ],
+
+    MAX_COUNT: 20,
+
+    defaults() {
+        return { count: 5, metric: 'successRate', splitByType: false };
+    },
+
+    // Count is clamped to 1..MAX_COUNT and an unknown metric falls back to the default
+    normalize(options) {
+        const base = this.defaults();
+        if (!options || typeof options !== 'object') return base;
+
+        const count = parseInt(options.count);
+        return {
+            count: count >= 1 ? Math.min(count, this.MAX_COUNT) : base.count,
+            metric: this.METRICS.some(m => m.id === options.metric) ? options.metric : base.metric,
+            splitByType: options.splitByType === true
+        };
+    },
+
+    metric(id) {
+        return this.METRICS.find(m => m.id === id) || this.METRICS[0];
+    },
+
+    successRate(row) {
+        return row['Max Mark (Item)'] ? (row['School Mean (Item)'] / row['Max Mark (Item)']) * 100 : 0;
+    },
+
+    // [{ type: null | 'MC' | 'ER', top: [rows], bottom: [rows] }]; one group unless split by MC/ER.
+    // Returned rows carry successRate and rankValue (the metric value, for display).
+    select(rows, options = this.defaults()) {
+        const groups = options.splitByType
+            ? ['MC', 'ER'].map(type => ({ type, rows: rows.filter(r => r['MC/ER'] === type) }))
+            : [{ type: null, rows }];
+
+        return groups
+            .filter(g => g.rows.length > 0)
+            .map(g => ({ type: g.type, ...this.topBottom(g.rows, options) }));
+    },
+
+    topBottom(rows, options = this.defaults()) {
+        const metric = this.metric(options.metric);
+        const ranked = rows.map(r => ({
+            ...r,
+            successRate: this.successRate(r),
+            rankValue: (metric.value || metric.score)(r),
+            rankScore: metric.score(r)
+        })).sort((a, b) => b.rankScore - a.rankScore);
+
+        return {
+            top: ranked.slice(0, options.count),
+            bottom: ranked.slice(-options.count).reverse()
+        };
+    },
+
+    // Titles for a group, e.g. "Best Performing ER Questions (Top 5)"
+    titles(group, options = this.defaults()) {
+        const kind = group.type ? `${group.type} Questions` : 'Questions';
+        return {
+            top: `Best Performing ${kind} (Top ${options.count})`,
+            bottom: `${kind} Needing Additional Support (Bottom ${options.count})`
+        };
+    },
+
+    // e.g. "Ranked by marks lost: 3.20"
+    describe(row, options = this.defaults()) {
+        const metric = this.metric(options.metric);
+        return `Ranked by ${metric.label.toLowerCase()}: ${metric.format(row.rankValue)}`;
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) module.exports = Ranking;
@@ -0,0 +1,325 @@
+/**
+ * Report Config Module
+ * Which sections go into the PDF, in what order, and for which subjects/years.
+ * The config is a plain JSON object persisted to localStorage.
+ */
+
+const ReportConfig = {
+    STORAGE_KEY: 'hsc-insight-report-config',
+    VERSION: 1,
+
+    // Default order matches the original fixed report layout, led by the written summary
+    SECTIONS: [
+        { id: 'insights', label: 'Executive summary (written commentary)' },
+        { id: 'mixed', label: 'MC / ER success rate charts' },
+        { id: 'diff', label: 'MC / ER School vs State differences' },
+        { id: 'multipart', label: 'Multi-part questions (needs parts grouped under their question)' },
+        { id: 'performance', label: 'Top / bottom N summary charts' },
+        { id: 'topbottom', label: 'Top / bottom N question detail pages' },
+        { id: 'summary', label: 'QPC / QPO summaries' },
+        { id: 'breakdown', label: 'QPC / QPO breakdowns (one chart per group)' },
+        { id: 'summaryDual', label: 'QPC / QPO summaries (School vs State)' },
+        { id: 'itemanalysis', label: 'Item analysis (needs a student marks matrix)' },
+        { id: 'classes', label: 'Class breakdown (needs Class columns)' },
+        { id: 'trends', label: 'Multi-year trends' },
+        { id: 'questionbank', label: 'Question bank appendix (every question)', defaultEnabled: false }
+    ],
+
+    defaults() {
+        return {
+            version: this.VERSION,
+            sections: this.SECTIONS.map(s => ({ id: s.id, enabled: s.defaultEnabled !== false })),
+            excludeSubjects: [],
+            excludeYears: [],
+            ranking: Ranking.defaults(),
+            rollUpParts: false // 21a, 21b... count as question 21 in the question charts, top / bottom N and detail pages (see QuestionId.rollUp)
+        };
+    },
+
+    // Unknown or repeated sections are dropped and sections added since the config was saved are put back
+    normalize(config) {
+        const base = this.defaults();
+        if (!config || typeof config !== 'object') return base;
+
+        const known = this.SECTIONS.map(s => s.id);
+        const sections = (Array.isArray(config.sections) ? config.sections : [])
+            .filter(s => s && known.includes(s.id))
+            .filter((s, idx, arr) => arr.findIndex(o => o.id === s.id) === idx)
+            .map(s => ({ id: s.id, enabled: s.enabled !== false }));
+
+        // Sections added since the config was saved go in at their default position and state
+        base.sections.forEach((section, idx) => {
+            if (!sections.some(s => s.id === section.id)) sections.splice(Math.min(idx, sections.length), 0, section);
+        });
+
+        return {
+            version: this.VERSION,
+            sections,
+            excludeSubjects: Array.isArray(config.excludeSubjects) ? config.excludeSubjects.map(String) : [],
+            excludeYears: Array.isArray(config.excludeYears) ? config.excludeYears.map(String) : [],
+            ranking: Ranking.normalize(config.ranking),
+            rollUpParts: config.rollUpParts === true
+        };
+    },
+
+    load() {
+        try {
+            return this.normalize(JSON.parse(localStorage.getItem(this.STORAGE_KEY)));
+        } catch (err) {
+            console.warn('Ignoring unreadable report config:', err);
+            return this.defaults();
+        }
+    },
+
+    save(config) {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(config));
+        } catch (err) {
+            console.warn('Could not save report config:', err);
+        }
+    },
+
+    isEnabled(config, sectionId) {
+        const section = config.sections.find(s => s.id === sectionId);
+        return !!(section && section.enabled);
+    },
+
+    // Position of a section in the report (lower comes first)
+    rank(config, sectionId) {
+        const idx = config.sections.findIndex(s => s.id === sectionId);
+        return idx === -1 ? config.sections.length : idx;
+    },
+
+    // { Subject: { Year: [rows] } } restricted to the chosen subjects and years
+    filterGrouped(grouped, config) {
+        const result = {};
+        Object.keys(grouped).forEach(subject => {
+            if (config.excludeSubjects.includes(String(subject))) return;
+            Object.keys(grouped[subject]).forEach(year => {
+                if (config.excludeYears.includes(String(year))) return;
+                if (!result[subject]) result[subject] = {};
+                result[subject][year] = grouped[subject][year];
+            });
+        });
+        return result;
+    },
+
+    // ---------------- PANEL ---------------- //
+    renderPanel(container, processedData, onChange) {
+        const config = this.load();
+        container.innerHTML = '';
+
+        const commit = () => {
+            this.save(config);
+            this.renderPanel(container, processedData, onChange);
+            if (onChange) onChange(config);
+        };
+
+        // Sections: toggle + reorder
+        const sectionList = document.createElement('ul');
+        sectionList.className = 'config-section-list';
+        config.sections.forEach((section, idx) => {
+            const meta = this.SECTIONS.find(s => s.id === section.id);
+            const li = document.createElement('li');
+
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = section.enabled;
+            checkbox.addEventListener('change', () => {
+                section.enabled = checkbox.checked;
+                commit();
+            });
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(' ' + meta.label));
+            li.appendChild(label);
+
+            const moves = document.createElement('span');
+            [[-1, 'fa-arrow-up', 'Move up'], [1, 'fa-arrow-down', 'Move down']].forEach(([delta, icon, text]) => {
+                const btn = document.createElement('button');
+                btn.className = 'btn btn-secondary btn-icon';
+                btn.title = text;
+                btn.innerHTML = `<i class="fa-solid ${icon}"></i>`;
+                btn.disabled = idx + delta < 0 || idx + delta >= config.sections.length;
+                btn.addEventListener('click', () => {
+                    const [moved] = config.sections.splice(idx, 1);
+                    config.sections.splice(idx + delta, 0, moved);
+                    commit();
+                });
+                moves.appendChild(btn);
+            });
+            li.appendChild(moves);
+            sectionList.appendChild(li);
+        });
+        container.appendChild(this.panelGroup('Sections (in report order)', sectionList));
+
+        // Subjects / years
+        const stats = processedData.stats;
+        container.appendChild(this.panelGroup('Subjects',
+            this.checkboxTags(stats.subjects.map(String), config.excludeSubjects, commit)));
+        container.appendChild(this.panelGroup('Years',
+            this.checkboxTags(stats.years.map(String), config.excludeYears, commit)));
+
+        container.appendChild(this.panelGroup('Top / bottom questions', this.rankingControls(config.ranking, commit)));
+        container.appendChild(this.panelGroup('Sub-parts', this.partsControls(config, commit)));
+
+        container.appendChild(this.presetActions(config, {
+            defaults: () => this.defaults(),
+            normalize: (json) => this.normalize(json),
+            filename: 'hsc-report-config.json',
+            name: 'report config'
+        }, commit));
+    },
+
+    rankingControls(ranking, commit) {
+        const wrap = document.createElement('div');
+        wrap.className = 'config-ranking';
+
+        const countLabel = document.createElement('label');
+        countLabel.appendChild(document.createTextNode('How many '));
+        const count = document.createElement('input');
+        count.type = 'number';
+        count.min = 1;
+        count.max = Ranking.MAX_COUNT;
+        count.value = ranking.count;
+        count.addEventListener('change', () => {
+            ranking.count = Ranking.normalize({ ...ranking, count: count.value }).count;
+            commit();
+        });
+        countLabel.appendChild(count);
+        wrap.appendChild(countLabel);
+
+        const metricLabel = document.createElement('label');
+        metricLabel.appendChild(document.createTextNode('Rank by '));
+        const metric = document.createElement('select');
+        Ranking.METRICS.forEach(m => {
+            const option = document.createElement('option');
+            option.value = m.id;
+            option.innerText = m.label;
+            metric.appendChild(option);
+        });
+        metric.value = ranking.metric;
+        metric.addEventListener('change', () => {
+            ranking.metric = metric.value;
+            commit();
+        });
+        metricLabel.appendChild(metric);
+        wrap.appendChild(metricLabel);
+
+        const splitLabel = document.createElement('label');
+        const split = document.createElement('input');
+        split.type = 'checkbox';
+        split.checked = ranking.splitByType;
+        split.addEventListener('change', () => {
+            ranking.splitByType = split.checked;
+            commit();
+        });
+        splitLabel.appendChild(split);
+        splitLabel.appendChild(document.createTextNode(' Separate lists for MC and ER'));
+        wrap.appendChild(splitLabel);
+
+        return wrap;
+    },
+
+    partsControls(config, commit) {
+        const wrap = document.createElement('div');
+        wrap.className = 'config-ranking';
+
+        const label = document.createElement('label');
+        const rollUp = document.createElement('input');
+        rollUp.type = 'checkbox';
+        rollUp.checked = config.rollUpParts;
+        rollUp.addEventListener('change', () => {
+            config.rollUpParts = rollUp.checked;
+            commit();
+        });
+        label.appendChild(rollUp);
+        label.appendChild(document.createTextNode(' Group parts like 21a, 21b under their question (21)'));
+        wrap.appendChild(label);
+
+        return wrap;
+    },
+
+    panelGroup(title, content) {
+        const group = document.createElement('div');
+        group.className = 'config-group';
+        const heading = document.createElement('h4');
+        heading.innerText = title;
+        group.appendChild(heading);
+        group.appendChild(content);
+        return group;
+    },
+
+    // Defaults / Export JSON / Import JSON buttons for a settings object edited in place.
+    // preset: { defaults(), normalize(json), filename, name (for the error message) }
+    presetActions(settings, preset, commit) {
+        const actions = document.createElement('div');
+        actions.className = 'config-actions';
+
+        const resetBtn = document.createElement('button');
+        resetBtn.className = 'btn btn-secondary btn-small';
+        resetBtn.innerHTML = '<i class="fa-solid fa-rotate-left"></i> Defaults';
+        resetBtn.addEventListener('click', () => {
+            Object.assign(settings, preset.defaults());
+            commit();
+        });
+        actions.appendChild(resetBtn);
+
+        const exportBtn = document.createElement('button');
+        exportBtn.className = 'btn btn-secondary btn-small';
+        exportBtn.innerHTML = '<i class="fa-solid fa-file-export"></i> Export JSON';
+        exportBtn.addEventListener('click', () => {
+            const blob = new Blob([JSON.stringify(settings, null, 2)], { type: 'application/json' });
+            App.downloadBlob(blob, preset.filename);
+        });
+        actions.appendChild(exportBtn);
+
+        const importInput = document.createElement('input');
+        importInput.type = 'file';
+        importInput.accept = '.json,application/json';
+        importInput.hidden = true;
+        importInput.addEventListener('change', async () => {
+            const file = importInput.files[0];
+            if (!file) return;
+            try {
+                Object.assign(settings, preset.normalize(JSON.parse(await file.text())));
+                commit();
+            } catch (err) {
+                alert(`Could not read ${preset.name}: ` + err.message);
+            }
+        });
+        const importBtn = document.createElement('button');
+        importBtn.className = 'btn btn-secondary btn-small';
+        importBtn.innerHTML = '<i class="fa-solid fa-file-import"></i> Import JSON';
+        importBtn.addEventListener('click', () => importInput.click());
+        actions.appendChild(importBtn);
+        actions.appendChild(importInput);
+
+        return actions;
+    },
+
+    // Checked = included; the config stores exclusions so new subjects/years default to on
+    checkboxTags(values, excluded, commit) {
+        const wrap = document.createElement('div');
+        wrap.className = 'tags-container config-tags';
+        values.forEach(value => {
+            const label = document.createElement('label');
+            label.className = 'tag';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = !excluded.includes(value);
+            checkbox.addEventListener('change', () => {
+                const idx = excluded.indexOf(value);
+                if (checkbox.checked && idx !== -1) excluded.splice(idx, 1);
+                if (!checkbox.checked && idx === -1) excluded.push(value);
+                commit();
+            });
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(' ' + value));
+            wrap.appendChild(label);
+        });
+        return wrap;
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) module.exports = ReportConfig;
@@ -0,0 +1,288 @@
+/**
+ * School Overview Module
+ * Cross-subject comparison for school leadership: subjects ranked by gap to state,
+ * a subject x year heatmap, MC vs ER strength and questions below state.
+ * Built from processedData.grouped and drawn straight onto the PDF (no chart images).
+ */
+
+const SchoolOverview = {
+    HEATMAP_RANGE: 15, // Gaps beyond +/- this many percentage points get the full colour
+    ROW_HEIGHT: 0.28,
+    TABLE_BOTTOM: 7.6, // Clear of the footer
+
+    // ---------------- DATA ---------------- //
+    // groupedData: { Subject: { Year: [rows] } }
+    build(groupedData) {
+        const subjects = Object.keys(groupedData).map(subject => {
+            const byYear = {};
+            const allRows = [];
+            Object.keys(groupedData[subject]).sort().forEach(year => {
+                const rows = this.scored(groupedData[subject][year]);
+                if (rows.length === 0) return;
+                byYear[year] = InsightGenerator.totals(rows);
+                allRows.push(...rows);
+            });
+
+            const years = Object.keys(byYear);
+            if (years.length === 0) return null;
+
+            const mean = (key) => years.reduce((sum, y) => sum + byYear[y][key], 0) / years.length;
+            const mc = allRows.filter(r => r['MC/ER'] === 'MC');
+            const er = allRows.filter(r => r['MC/ER'] === 'ER');
+            const below = allRows.filter(r => r['School Mean (Item)'] < r['State Mean (Item)']);
+            const hasStats = Significance.available(allRows);
+
+            return {
+                subject,
+                years,
+                byYear,
+                school: mean('school'),
+                state: mean('state'),
+                gap: mean('gap'), // Mean of the yearly gaps, so each year counts equally
+                mc: mc.length > 0 ? InsightGenerator.totals(mc) : null,
+                er: er.length > 0 ? InsightGenerator.totals(er) : null,
+                items: allRows.length,
+                below: below.length,
+                significantlyBelow: hasStats
+                    ? below.filter(r => { const s = Significance.itemStats(r); return s && s.significant; }).length
+                    : null
+            };
+        }).filter(Boolean);
+
+        subjects.sort((a, b) => b.gap - a.gap);
+        const years = [...new Set(subjects.flatMap(s => s.years))].sort();
+        return { subjects, years };
+    },
+
+    scored(rows) {
+        return rows.filter(r => r['Max Mark (Item)'] > 0);
+    },
+
+    // ---------------- PDF ---------------- //
+    async createPDF(groupedData) {
+        const overview = this.build(groupedData);
+        const pdf = PdfGenerator.newDocument();
+        const label = 'School Overview';
+
+        PdfGenerator.addTitlePage(pdf, label);
+        const root = pdf.outline.add(null, label, { pageNumber: 1 });
+
+        [
+            ['Subjects Ranked by Gap to State', this.renderRanking],
+            ['School vs State Gap by Subject and Year', this.renderHeatmap],
+            ['Multiple Choice vs Extended Response', this.renderMcEr],
+            ['Questions Below State', this.renderBelowState]
+        ].forEach(([title, render]) => {
+            const firstPage = pdf.getNumberOfPages() + 1;
+            render.call(this, pdf, overview, title);
+            pdf.outline.add(root, title, { pageNumber: firstPage });
+        });
+
+        // Footers last, once the page count is final
+        for (let page = 2; page <= pdf.getNumberOfPages(); page++) {
+            pdf.setPage(page);
+            PdfGenerator.addFooter(pdf, page, label);
+        }
+
+        return pdf.output('blob');
+    },
+
+    renderRanking(pdf, overview, title) {
+        const columns = [
+            { label: 'Rank', width: 0.6 },
+            { label: 'Subject', width: 3.2 },
+            { label: 'Years', width: 0.7, align: 'right' },
+            { label: 'School %', width: 0.9, align: 'right' },
+            { label: 'State %', width: 0.9, align: 'right' },
+            { label: 'Gap (pts)', width: 0.9, align: 'right' },
+            { label: '', width: 2.8 } // Bar
+        ];
+        const maxGap = Math.max(1, ...overview.subjects.map(s => Math.abs(s.gap)));
+
+        this.drawTable(pdf, title, 'Mean School - State success-rate gap across the selected years, in percentage points.',
+            columns, overview.subjects, (s, idx) => [
+                String(idx + 1), s.subject, String(s.years.length),
+                s.school.toFixed(1), s.state.toFixed(1), this.signed(s.gap)
+            ], {
+                extra: (s, x, y) => this.drawGapBar(pdf, s.gap, maxGap, x, y, 2.8)
+            });
+    },
+
+    renderHeatmap(pdf, overview, title) {
+        const yearWidth = Math.min(1.2, 6.8 / Math.max(1, overview.years.length));
+        const columns = [
+            { label: 'Subject', width: 3.2 },
+            ...overview.years.map(year => ({ label: String(year), width: yearWidth, align: 'center' }))
+        ];
+
+        this.drawTable(pdf, title,
+            `Cell colour shows the gap to state (green above, red below; full colour at +/-${this.HEATMAP_RANGE} pts). Blank: no data.`,
+            columns, overview.subjects, (s) => [
+                s.subject,
+                ...overview.years.map(year => s.byYear[year] ? this.signed(s.byYear[year].gap) : '')
+            ], {
+                fill: (s, colIdx) => {
+                    const totals = colIdx > 0 && s.byYear[overview.years[colIdx - 1]];
+                    return totals ? this.heatColor(totals.gap) : null;
+                }
+            });
+    },
+
+    renderMcEr(pdf, overview, title) {
+        const columns = [
+            { label: 'Subject', width: 3.2 },
+            { label: 'MC School %', width: 1.1, align: 'right' },
+            { label: 'MC Gap (pts)', width: 1.1, align: 'right' },
+            { label: 'ER School %', width: 1.1, align: 'right' },
+            { label: 'ER Gap (pts)', width: 1.1, align: 'right' },
+            { label: 'Relatively stronger', width: 2.4 }
+        ];
+        const stronger = (s) => {
+            if (!s.mc || !s.er) return '';
+            const contrast = s.mc.gap - s.er.gap;
+            if (Math.abs(contrast) < InsightGenerator.NEAR_STATE) return 'Similar';
+            return `${contrast > 0 ? 'MC' : 'ER'} (by ${Math.abs(contrast).toFixed(1)} pts)`;
+        };
+
+        this.drawTable(pdf, title, 'All selected years pooled. Gap = School - State success rate for that question type.',
+            columns, overview.subjects, (s) => [
+                s.subject,
+                s.mc ? s.mc.school.toFixed(1) : '-',
+                s.mc ? this.signed(s.mc.gap) : '-',
+                s.er ? s.er.school.toFixed(1) : '-',
+                s.er ? this.signed(s.er.gap) : '-',
+                stronger(s)
+            ]);
+    },
+
+    renderBelowState(pdf, overview, title) {
+        const hasStats = overview.subjects.some(s => s.significantlyBelow !== null);
+        const columns = [
+            { label: 'Subject', width: 3.2 },
+            { label: 'Questions', width: 1.0, align: 'right' },
+            { label: 'Below State', width: 1.1, align: 'right' },
+            { label: '% Below', width: 1.0, align: 'right' }
+        ];
+        if (hasStats) columns.push({ label: 'Significantly Below', width: 1.6, align: 'right' });
+
+        // Most questions below state first: where to focus
+        const rows = [...overview.subjects].sort((a, b) => b.below / b.items - a.below / a.items);
+        this.drawTable(pdf, title, 'Questions whose school mean was below the state mean, all selected years counted.',
+            columns, rows, (s) => {
+                const cells = [s.subject, String(s.items), String(s.below), (s.below / s.items * 100).toFixed(0) + '%'];
+                if (hasStats) cells.push(s.significantlyBelow === null ? '-' : String(s.significantlyBelow));
+                return cells;
+            });
+    },
+
+    // ---------------- DRAWING ---------------- //
+    // Paginated table with the title and note repeated on each page; options as for drawGrid
+    drawTable(pdf, title, note, columns, items, cells, options = {}) {
+        const page = () => {
+            pdf.addPage();
+            this.drawHeading(pdf, title, note);
+            return 1.75;
+        };
+
+        const y = this.drawGrid(pdf, columns, items, cells, 0.5, page(), { ...options, newPage: page });
+        if (items.length === 0) {
+            pdf.setFont(Branding.font(), "normal");
+            pdf.text('No data.', 0.5, y);
+        }
+    },
+
+    // Centred title and note at the top of the current page
+    drawHeading(pdf, title, note) {
+        const width = pdf.internal.pageSize.getWidth();
+        pdf.setFontSize(18);
+        pdf.setFont(Branding.font(), "bold");
+        pdf.text(title, width / 2, 0.9, { align: "center" });
+
+        pdf.setFontSize(9);
+        pdf.setFont(Branding.font(), "italic");
+        pdf.setTextColor(100, 100, 100);
+        pdf.text(note, width / 2, 1.25, { align: "center" });
+        pdf.setTextColor(0, 0, 0);
+    },
+
+    // Header row at (x0, y), then one row per item; returns the y below the table. cells(item, idx) -> strings;
+    // options.fill(item, colIdx) -> [r, g, b] or null shades a cell, options.color(item, colIdx) likewise colours
+    // its text; options.extra(item, x, y) draws after the last column; options.newPage() -> header y on a new
+    // page, called when the rows reach TABLE_BOTTOM (without it the table runs on)
+    drawGrid(pdf, columns, items, cells, x0, y, options = {}) {
+        const { extra, fill, color, newPage } = options;
+        const header = (top) => {
+            pdf.setFontSize(10);
+            pdf.setFont(Branding.font(), "bold");
+            let x = x0;
+            columns.forEach(col => {
+                this.cellText(pdf, col.label, x, top, col);
+                x += col.width;
+            });
+            pdf.setDrawColor(150, 150, 150);
+            pdf.line(x0, top + 0.1, x, top + 0.1);
+            return top + 0.35;
+        };
+
+        y = header(y);
+        items.forEach((item, idx) => {
+            if (newPage && y > this.TABLE_BOTTOM) y = header(newPage());
+
+            pdf.setFontSize(10);
+            pdf.setFont(Branding.font(), "normal");
+            let x = x0;
+            cells(item, idx).forEach((text, colIdx) => {
+                const col = columns[colIdx];
+                const shade = fill ? fill(item, colIdx) : null;
+                if (shade) {
+                    pdf.setFillColor(...shade);
+                    pdf.rect(x + 0.02, y - 0.19, col.width - 0.04, this.ROW_HEIGHT - 0.02, 'F');
+                }
+                const ink = color ? color(item, colIdx) : null;
+                if (ink) pdf.setTextColor(...ink);
+                this.cellText(pdf, text, x, y, col);
+                if (ink) pdf.setTextColor(0, 0, 0);
+                x += col.width;
+            });
+            if (extra) extra(item, x, y);
+            y += this.ROW_HEIGHT;
+        });
+        return y;
+    },
+
+    cellText(pdf, text, x, y, col) {
+        const pad = 0.08;
+        // Long subject names are cut to fit the column
+        const fitted = pdf.splitTextToSize(String(text), col.width - 2 * pad)[0] || '';
+        if (col.align === 'right') pdf.text(fitted, x + col.width - pad, y, { align: 'right' });
+        else if (col.align === 'center') pdf.text(fitted, x + col.width / 2, y, { align: 'center' });
+        else pdf.text(fitted, x + pad, y);
+    },
+
+    // Diverging bar centred in the given width: green above state, red below
+    drawGapBar(pdf, gap, maxGap, x, y, width) {
+        const mid = x + width / 2;
+        const length = (Math.abs(gap) / maxGap) * (width / 2 - 0.1);
+        pdf.setFillColor(...(gap >= 0 ? [75, 192, 192] : [255, 99, 132]));
+        pdf.rect(gap >= 0 ? mid : mid - length, y - 0.15, length, 0.18, 'F');
+        pdf.setDrawColor(120, 120, 120);
+        pdf.line(mid, y - 0.2, mid, y + 0.07);
+    },
+
+    heatColor(gap) {
+        const t = Math.max(-1, Math.min(1, gap / this.HEATMAP_RANGE));
+        const target = t >= 0 ? [99, 190, 123] : [248, 105, 107];
+        const strength = Math.abs(t);
+        return [255, 255, 255].map((white, i) => Math.round(white + (target[i] - white) * strength));
+    },
+
+    signed(value) {
+        return (value > 0 ? '+' : '') + value.toFixed(1);
+    },
+
+    filename() {
+        return 'HSC_Analysis_School_Overview.pdf';
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) module.exports = SchoolOverview;
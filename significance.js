@@ -0,0 +1,101 @@
+/**
+ * Significance Module
+ * Effect sizes, confidence intervals and significance flags for School - State gaps,
+ * from the optional cohort size (N) and standard deviation columns.
+ *
+ * The state mean is treated as a fixed reference (the state cohort is large), so the
+ * interval only reflects sampling noise in the school's own cohort.
+ */
+
+const Significance = {
+    CONFIDENCE: 95, // %
+    Z: 1.959964, // Two-sided 95% normal critical value
+
+    // Small-sample t critical values (95%, two-sided) for df 1-5; larger df use the expansion below
+    T_TABLE: [12.706, 4.303, 3.182, 2.776, 2.571],
+
+    // True when at least one row carries enough data for a test
+    available(rows) {
+        return rows.some(r => this.itemStats(r) !== null);
+    },
+
+    // { diff, effectSize, ciLow, ciHigh, significant, n } for one item, or null without N/SD
+    itemStats(row) {
+        return this.compare(
+            row['School Mean (Item)'], row['State Mean (Item)'],
+            row['School SD (Item)'], row['State SD (Item)'], row['School N']
+        );
+    },
+
+    // Same for a QPC/QPO group total. Item covariances are unknown, so the item SDs are
+    // summed: the largest SD the total could have, which gives the widest (safest) interval.
+    groupStats(rows) {
+        if (rows.length === 0 || !rows.every(r => this.itemStats(r))) return null;
+
+        const sum = (fn) => rows.reduce((total, r) => total + fn(r), 0);
+        return this.compare(
+            sum(r => r['School Mean (Item)']),
+            sum(r => r['State Mean (Item)']),
+            sum(r => r['School SD (Item)']),
+            rows.every(r => r['State SD (Item)'] > 0) ? sum(r => r['State SD (Item)']) : null,
+            Math.min(...rows.map(r => r['School N']))
+        );
+    },
+
+    compare(school, state, schoolSd, stateSd, n) {
+        if (!Number.isInteger(n) || n < 2 || !(schoolSd > 0)) return null;
+
+        const diff = school - state;
+        const margin = this.tCritical(n - 1) * schoolSd / Math.sqrt(n);
+        const ciLow = diff - margin;
+        const ciHigh = diff + margin;
+
+        return {
+            diff,
+            // Standardise by the state SD when given (the reference population), else the school's
+            effectSize: diff / (stateSd > 0 ? stateSd : schoolSd),
+            ciLow,
+            ciHigh,
+            significant: ciLow > 0 || ciHigh < 0,
+            n
+        };
+    },
+
+    // Cornish-Fisher expansion of the t quantile; within 0.002 of exact tables from df 6
+    tCritical(df) {
+        if (df < 1) return Infinity;
+        if (df <= this.T_TABLE.length) return this.T_TABLE[Math.floor(df) - 1];
+
+        const z = this.Z;
+        const g1 = (Math.pow(z, 3) + z) / 4;
+        const g2 = (5 * Math.pow(z, 5) + 16 * Math.pow(z, 3) + 3 * z) / 96;
+        const g3 = (3 * Math.pow(z, 7) + 19 * Math.pow(z, 5) + 17 * Math.pow(z, 3) - 15 * z) / 384;
+        return z + g1 / df + g2 / Math.pow(df, 2) + g3 / Math.pow(df, 3);
+    },
+
+    // Cohen's conventional thresholds
+    effectLabel(effectSize) {
+        const size = Math.abs(effectSize);
+        if (size < 0.2) return 'negligible';
+        if (size < 0.5) return 'small';
+        if (size < 0.8) return 'medium';
+        return 'large';
+    },
+
+    signed(value, digits = 2) {
+        return (value > 0 ? '+' : '') + value.toFixed(digits);
+    },
+
+    formatCI(stats, digits = 2) {
+        return `${this.signed(stats.ciLow, digits)} to ${this.signed(stats.ciHigh, digits)}`;
+    },
+
+    // One-line description, e.g. "d = +0.42 (small), 95% CI +0.10 to +0.55, significant"
+    describe(stats) {
+        if (!stats) return '';
+        return `d = ${this.signed(stats.effectSize)} (${this.effectLabel(stats.effectSize)}), ` +
+            `${this.CONFIDENCE}% CI ${this.formatCI(stats)}, ${stats.significant ? 'significant' : 'not significant'}`;
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) module.exports = Significance;
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Branding, ChartGenerator } = require('./helpers');
+
+// 1x1 PNG
+const LOGO = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==';
+
+test('normalize keeps valid settings and falls back for the rest', () => {
+    const settings = Branding.normalize({
+        schoolName: '  Riverside High  ',
+        reportTitle: '   ',
+        date: '2026-11-02',
+        primaryColor: '#12ab34',
+        accentColor: 'red',
+        font: 'comic sans',
+        logo: LOGO
+    });
+    assert.equal(settings.schoolName, 'Riverside High');
+    assert.equal(settings.reportTitle, Branding.defaults().reportTitle);
+    assert.equal(settings.date, '2026-11-02');
+    assert.equal(settings.primaryColor, '#12AB34');
+    assert.equal(settings.accentColor, Branding.defaults().accentColor);
+    assert.equal(settings.font, 'helvetica');
+    assert.equal(settings.logo, LOGO);
+});
+
+test('normalize drops logos that are not PNG or JPEG data URLs', () => {
+    assert.equal(Branding.normalize({ logo: 'https://example.com/logo.png' }).logo, null);
+    assert.equal(Branding.normalize({ logo: 'data:image/svg+xml;base64,PHN2Zz4=' }).logo, null);
+});
+
+test('use feeds the colours and font into the chart theme', () => {
+    const theme = { ...ChartGenerator.THEME };
+    try {
+        Branding.use({ primaryColor: '#112233', accentColor: '#445566', font: 'times' });
+        assert.equal(ChartGenerator.THEME.barColor, '#112233');
+        assert.equal(ChartGenerator.THEME.lineColor, '#445566');
+        assert.match(ChartGenerator.THEME.fontFamily, /Times/);
+        assert.deepEqual(Branding.color('primaryColor'), [17, 34, 51]);
+        assert.equal(Branding.font(), 'times');
+    } finally {
+        Branding.use(null);
+        Object.assign(ChartGenerator.THEME, theme);
+    }
+});
+
+test('dateText prints the chosen date', () => {
+    assert.equal(Branding.dateText({ date: '2026-11-02' }), '2 November 2026');
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ChartGenerator, DataProcessor, ReportConfig, Fixtures } = require('./helpers');
+
+// The modules log their progress as they go; the tests check return values instead
+test.beforeEach((t) => t.mock.method(console, 'log', () => { }));
+
+const rows = (list) => list.map(([q, group, school, state, max]) => ({
+    'Question (Item)': q, 'Question Per Content': group,
+    'School Mean (Item)': school, 'State Mean (Item)': state, 'Max Mark (Item)': max
+}));
+
+test('aggregateData totals the max marks and averages the means per group', () => {
+    const agg = ChartGenerator.aggregateData(rows([
+        ['1', 'Waves', 1, 0.5, 1],
+        ['2', 'Waves', 2, 3, 5],
+        ['3', 'Forces', 4, 4, 6]
+    ]), 'Question Per Content');
+
+    assert.deepEqual(agg.map(g => g['Question Per Content']), ['Forces', 'Waves']);
+    const waves = agg[1];
+    assert.equal(waves['Max Mark (Item)'], 6);
+    assert.equal(waves['School Mean (Item)'], 1.5);
+    assert.equal(waves['State Mean (Item)'], 1.75);
+    assert.equal(waves['Item Count'], 2);
+    assert.equal(waves.significance, null); // No N/SD columns
+});
+
+test('aggregateData leaves out blank groups and trims labels', () => {
+    const agg = ChartGenerator.aggregateData(rows([
+        ['1', '  Waves ', 1, 1, 1],
+        ['2', '', 1, 1, 1],
+        ['3', undefined, 1, 1, 1]
+    ]), 'Question Per Content');
+    assert.deepEqual(agg.map(g => g['Question Per Content']), ['Waves']);
+});
+
+test('aggregateData sorts numbered groups naturally', () => {
+    const agg = ChartGenerator.aggregateData(rows([
+        ['1', '10', 1, 1, 1],
+        ['2', '9', 1, 1, 1],
+        ['3', '9a', 1, 1, 1]
+    ]), 'Question Per Content');
+    assert.deepEqual(agg.map(g => g['Question Per Content']), ['9', '9a', '10']);
+});
+
+test('planCharts follows the report config', () => {
+    const grouped = DataProcessor.processData(Fixtures.reportRows()).grouped;
+    const config = ReportConfig.defaults();
+    const all = ChartGenerator.planCharts(grouped, config);
+    assert.ok(all.every(job => typeof ChartGenerator[job.builder] === 'function'));
+
+    config.sections.forEach(s => s.enabled = s.id === 'trends');
+    const trends = ChartGenerator.planCharts(grouped, config);
+    assert.ok(trends.length > 0);
+    assert.ok(trends.every(job => job.page.section === 'trends' && job.page.subject === 'Biology'));
+});
+
+test('planCharts stacks the parts of multi-part questions when parts are grouped', () => {
+    const grouped = DataProcessor.processData(Fixtures.reportRows()).grouped;
+    const config = ReportConfig.defaults();
+    const partCharts = (cfg) => ChartGenerator.planCharts({ Biology: grouped.Biology }, cfg).filter(job => job.page.section === 'multipart');
+
+    assert.equal(partCharts(config).length, 0);
+    const jobs = partCharts({ ...config, rollUpParts: true });
+    assert.equal(jobs.length, 2); // One per year
+
+    const [questions] = jobs[0].args;
+    assert.deepEqual(questions.map(q => q.label), ['21']);
+    assert.equal(questions[0].max, 10);
+    assert.equal(questions[0].state, 60);
+    assert.deepEqual(questions[0].parts.map(p => [p.label, p.max]), [['a', 5], ['b', 5]]);
+});
@@ -0,0 +1,176 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DataProcessor, Fixtures } = require('./helpers');
+
+// The modules log their progress as they go; the tests check return values instead
+test.beforeEach((t) => t.mock.method(console, 'log', () => { }));
+
+test('findHeaderRow skips title rows above the header', () => {
+    const result = DataProcessor.findHeaderRow(Fixtures.messySheet());
+    assert.equal(result.found, true);
+    assert.equal(result.headerRowIndex, 3);
+});
+
+test('findHeaderRow reports sheets without a header', () => {
+    const result = DataProcessor.findHeaderRow([['Notes'], ['Nothing to see here']]);
+    assert.equal(result.found, false);
+    assert.equal(result.headerRowIndex, 0);
+});
+
+test('findHeaderRow only looks at the first 12 columns', () => {
+    // Recognisable headers beyond column 12 (where the Base64 chunks live) don't count
+    const row = [...Array(12).fill('x'), 'Question', 'Year', 'School Mean', 'Max Mark'];
+    assert.equal(DataProcessor.findHeaderRow([row]).found, false);
+});
+
+test('suggestMapping recognises messy spellings, QPC/QPO variants included', () => {
+    const headers = Fixtures.messySheet()[3];
+    assert.deepEqual(DataProcessor.suggestMapping(headers), {
+        'Subject': 'Course',
+        'Year': 'Exam Year',
+        'Question (Item)': 'Item No',
+        'MC/ER': 'Type',
+        'School Mean (Item)': 'School Avg',
+        'State Mean (Item)': 'NSW Mean',
+        'Max Mark (Item)': 'Out of',
+        'Question Per Content': 'Content Area',
+        'Question Per Outcome': 'Outcome'
+    });
+    assert.equal(DataProcessor.suggestMapping(['QPC', 'QPO'])['Question Per Content'], 'QPC');
+    assert.equal(DataProcessor.suggestMapping(['QPC', 'QPO'])['Question Per Outcome'], 'QPO');
+});
+
+test('suggestMapping uses each header once', () => {
+    const mapping = DataProcessor.suggestMapping(['Mean', 'Year', 'Question']);
+    const used = Object.values(mapping);
+    assert.equal(new Set(used).size, used.length);
+});
+
+test('suggestMapping leaves headers that only contain a short word unmapped', () => {
+    assert.deepEqual(DataProcessor.suggestMapping(['Mark Mean SD', 'Mean', 'Marks', 'Student N']), {});
+    assert.deepEqual(DataProcessor.suggestMapping(['Max', 'N']), { 'Max Mark (Item)': 'Max', 'School N': 'N' });
+});
+
+test('isStandardMapping accepts the template headers only', () => {
+    assert.equal(DataProcessor.isStandardMapping(DataProcessor.suggestMapping(Fixtures.HEADER)), true);
+    assert.equal(DataProcessor.isStandardMapping(DataProcessor.suggestMapping(Fixtures.messySheet()[3])), false);
+});
+
+test('parseWorkbook renames mapped columns and records provenance', () => {
+    const workbook = Fixtures.workbook({ Sheet1: Fixtures.messySheet() });
+    const rows = DataProcessor.parseWorkbook(workbook, { sheets: ['Sheet1'], fallbackSubject: 'results' });
+    const first = rows[0];
+    assert.equal(first['Question (Item)'], '1');
+    assert.equal(first['School Mean (Item)'], 0.8);
+    assert.equal(first['Question Per Content'], 'Cells');
+    assert.equal(first._sheet, 'Sheet1');
+    assert.equal(first._row, 5); // 1-based, as Excel shows it
+});
+
+test('parseWorkbook takes the subject from the sheet, or the file for Sheet1, without a Subject column', () => {
+    const rows = [Fixtures.HEADER.slice(1), [2024, '1', 'MC', 0.5, 0.5, 1, '', '']];
+    const workbook = Fixtures.workbook({ Physics: rows, Sheet1: rows });
+    const parsed = DataProcessor.parseWorkbook(workbook, { sheets: ['Physics', 'Sheet1'], fallbackSubject: 'trial' });
+    assert.deepEqual(parsed.map(r => r['Subject']), ['Physics', 'trial']);
+});
+
+test('parseWorkbook leaves a blank Subject cell blank on a sheet with a Subject column', () => {
+    const workbook = Fixtures.workbook({ Data: [Fixtures.HEADER, ['', 2024, '1', 'MC', 0.5, 0.5, 1, '', ''], ['Maths', 2024, '2', 'MC', 0.5, 0.5, 1, '', '']] });
+    const processed = DataProcessor.processData(DataProcessor.parseWorkbook(workbook, { sheets: ['Data'], fallbackSubject: 'trial' }));
+    assert.deepEqual(Object.keys(processed.grouped), ['Maths']);
+    assert.ok(processed.issues.some(i => i.field === 'Subject' && i.sheet === 'Data' && i.row === 2));
+});
+
+test('parseWorkbook skips sheets without a header when merging', (t) => {
+    const warn = t.mock.method(console, 'warn', () => { });
+    const workbook = Fixtures.workbook({ Data: [Fixtures.HEADER, ['Maths', 2024, '1', 'MC', 0.5, 0.5, 1, '', '']], Notes: [['Read me']] });
+    const rows = DataProcessor.parseWorkbook(workbook, { sheets: ['Data', 'Notes'] });
+    assert.equal(rows.length, 1);
+    assert.match(warn.mock.calls[0].arguments[0], /Skipping sheet "Notes"/);
+});
+
+test('processData drops repeated headers and rows missing subject, year or question', () => {
+    const workbook = Fixtures.workbook({ Sheet1: Fixtures.messySheet() });
+    const rows = DataProcessor.parseWorkbook(workbook, { sheets: ['Sheet1'] });
+    const processed = DataProcessor.processData(rows);
+
+    // 2 + 2 usable rows; the repeated header, the blank row and the row without a subject go
+    assert.deepEqual(processed.raw.map(r => r['Question (Item)']), ['1', '2', '21a(ii)', '10']);
+    assert.equal(processed.stats.validRows, 4);
+    assert.deepEqual(Object.keys(processed.grouped), ['Biology']);
+    assert.ok(processed.issues.some(i => i.reason === 'Repeated header row (skipped)'));
+});
+
+test('processData skips repeated headers in any Question spelling and reports them', () => {
+    const header = ['Course', 'Exam Year', 'Item No', 'Type', 'School Avg', 'NSW Mean', 'Out of'];
+    const workbook = Fixtures.workbook({ Sheet1: [header, ['Biology', 2024, '1', 'MC', 0.8, 0.7, 1], header, ['Biology', 2024, '2', 'MC', 0.4, 0.6, 1]] });
+    const processed = DataProcessor.processData(DataProcessor.parseWorkbook(workbook, { sheets: ['Sheet1'] }));
+
+    assert.deepEqual(processed.raw.map(r => r['Question (Item)']), ['1', '2']);
+    assert.deepEqual(processed.issues.map(i => [i.row, i.reason]), [[3, 'Repeated header row (skipped)']]);
+    assert.equal(DataProcessor.isRepeatedHeader({ 'Question (Item)': 'Q No' }), true);
+    assert.equal(DataProcessor.isRepeatedHeader({ 'Question (Item)': '21a' }), false);
+});
+
+test('processData trims and types the columns', () => {
+    const processed = DataProcessor.processData([
+        { 'Subject': ' Maths ', 'Year': '2024', 'Question (Item)': 21, 'MC/ER': 'ER', 'School Mean (Item)': '2.5', 'State Mean (Item)': '', 'Max Mark (Item)': '4' }
+    ]);
+    const row = processed.raw[0];
+    assert.equal(row['Subject'], 'Maths');
+    assert.equal(row['Year'], 2024);
+    assert.equal(row['Question (Item)'], '21');
+    assert.equal(row['School Mean (Item)'], 2.5);
+    assert.equal(row['State Mean (Item)'], 0);
+    assert.equal(row['Max Mark (Item)'], 4);
+});
+
+test('sortQuestionsNaturally orders by number, then suffix', () => {
+    const sorted = DataProcessor.sortQuestionsNaturally(['10', '2', '1b', '1a', '1'].map(q => ({ 'Question (Item)': q })));
+    assert.deepEqual(sorted.map(r => r['Question (Item)']), ['1', '1a', '1b', '2', '10']);
+});
+
+test('sortQuestionsNaturally orders compound IDs and keeps labels without a number last', () => {
+    const sorted = DataProcessor.sortQuestionsNaturally(['Extra', '21a(ii)', '3', 'Q5', '11 (a)'].map(q => ({ 'Question (Item)': q })));
+    assert.deepEqual(sorted.map(r => r['Question (Item)']), ['3', 'Q5', '11 (a)', '21a(ii)', 'Extra']);
+});
+
+test('sortQuestionsNaturally sorts on another column without changing the input', () => {
+    const groups = [{ g: 'Module 10' }, { g: 'Module 5' }];
+    const sorted = DataProcessor.sortQuestionsNaturally(groups, 'g');
+    assert.deepEqual(sorted.map(r => r.g), ['Module 5', 'Module 10']);
+    assert.equal(groups[0].g, 'Module 10');
+});
+
+test('reconstructBase64 joins chunks in numeric order', () => {
+    const row = { 'Question (Item)': '1', HSC_BASE64_10: 'J', HSC_BASE64_2: 'B', HSC_BASE64_1: 'data:image/png;base64,A' };
+    for (let n = 3; n <= 9; n++) row[`HSC_BASE64_${n}`] = String.fromCharCode(64 + n);
+    assert.equal(DataProcessor.reconstructBase64(row), 'data:image/png;base64,ABCDEFGHIJ');
+});
+
+test('reconstructBase64 adds a PNG prefix to bare Base64 and ignores other columns', () => {
+    const row = { HSC_BASE64_1: 'iVBOR', HSC_BASE64_x: 'junk', HSC_BASE64: 'junk' };
+    assert.equal(DataProcessor.reconstructBase64(row), 'data:image/png;base64,iVBOR');
+});
+
+test('reconstructBase64 returns null without chunks', (t) => {
+    const warn = t.mock.method(console, 'warn', () => { });
+    assert.equal(DataProcessor.reconstructBase64(null), null);
+    assert.equal(DataProcessor.reconstructBase64({ 'Question (Item)': '1' }), null);
+    assert.equal(DataProcessor.reconstructBase64({ HSC_BASE64_1: '' }), null);
+    assert.equal(warn.mock.callCount(), 1); // Only the row with an (empty) chunk column
+});
+
+test('reconstructBase64 skips oversized chunks', (t) => {
+    const warn = t.mock.method(console, 'warn', () => { });
+    const row = { HSC_BASE64_1: 'data:image/png;base64,' + 'A'.repeat(600 * 1024), HSC_BASE64_2: 'BBBB' };
+    assert.equal(DataProcessor.reconstructBase64(row), 'data:image/png;base64,BBBB');
+    assert.equal(DataProcessor.reconstructBase64({ HSC_BASE64_1: 'A'.repeat(600 * 1024) }), null);
+    assert.match(warn.mock.calls[0].arguments[0], /too large/);
+});
+
+test('reconstructBase64 reads at most 200 chunks', () => {
+    const row = Fixtures.imageChunks('data:image/png;base64,' + 'A'.repeat(250), 1);
+    const image = DataProcessor.reconstructBase64(row);
+    assert.equal(image.length, 200);
+});
@@ -0,0 +1,73 @@
+/**
+ * Test Helpers
+ * Loads the core modules (see core.js) and builds the fixture workbooks in memory, so the
+ * fixtures stay readable in review. Run the suite with `npm test`.
+ */
+
+const core = require('../core');
+
+const Fixtures = {
+    HEADER: ['Subject', 'Year', 'Question (Item)', 'MC/ER', 'School Mean (Item)', 'State Mean (Item)', 'Max Mark (Item)', 'Question Per Content', 'Question Per Outcome'],
+
+    // { sheetName: [[cells]] } -> SheetJS workbook
+    workbook(sheets) {
+        const workbook = XLSX.utils.book_new();
+        Object.keys(sheets).forEach(name => XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(sheets[name]), name));
+        return workbook;
+    },
+
+    // Stands in for a browser File: ImportJobs.read only needs the name and the bytes
+    file(name, workbook) {
+        const data = XLSX.write(workbook, { bookType: 'xlsx', type: 'buffer' });
+        return { name, arrayBuffer: async () => data };
+    },
+
+    // Title rows above the header, unrecognised spellings, a repeated header part-way down
+    // and a blank row: the shape of a typical school export
+    messySheet() {
+        return [
+            ['Northside High School - HSC Results'],
+            ['Exported 3 Feb 2025'],
+            [],
+            ['Course', 'Exam Year', 'Item No', 'Type', 'School Avg', 'NSW Mean', 'Out of', 'Content Area', 'Outcome'],
+            ['Biology', 2024, '1', 'MC', 0.8, 0.7, 1, 'Cells', 'BIO11-1'],
+            ['Biology', 2024, '2', 'MC', 0.4, 0.6, 1, 'Cells', 'BIO11-2'],
+            [],
+            ['Course', 'Exam Year', 'Question', 'Type', 'School Avg', 'NSW Mean', 'Out of', 'Content Area', 'Outcome'],
+            ['Biology', 2024, '21a(ii)', 'ER', 2.1, 2.5, 4, 'Genetics', 'BIO12-3'],
+            ['Biology', 2024, '10', 'ER', 3, 2.8, 5, 'Genetics', 'BIO12-3'],
+            ['', 2024, '11', 'ER', 1, 1, 2, 'Genetics', 'BIO12-3']
+        ];
+    },
+
+    // Rows as parseWorkbook returns them, for two subjects over two years
+    reportRows() {
+        const rows = [];
+        [['Biology', 2023], ['Biology', 2024], ['Chemistry', 2024]].forEach(([subject, year]) => {
+            ['1', '2', '3', '4', '21a', '21b', '22'].forEach((question, idx) => {
+                const mc = idx < 4;
+                rows.push({
+                    'Subject': subject,
+                    'Year': year,
+                    'Question (Item)': question,
+                    'MC/ER': mc ? 'MC' : 'ER',
+                    'School Mean (Item)': mc ? 0.5 + idx / 10 : 2 + idx / 4,
+                    'State Mean (Item)': mc ? 0.6 : 3,
+                    'Max Mark (Item)': mc ? 1 : 5,
+                    'Question Per Content': idx % 2 ? 'Module 5' : 'Module 6',
+                    'Question Per Outcome': `H${(idx % 3) + 1}`
+                });
+            });
+        });
+        return rows;
+    },
+
+    // A data URL split into HSC_BASE64_n columns, as ImageEmbedder writes them
+    imageChunks(dataUrl, size) {
+        const chunks = {};
+        for (let i = 0; i * size < dataUrl.length; i++) chunks[`HSC_BASE64_${i + 1}`] = dataUrl.slice(i * size, (i + 1) * size);
+        return chunks;
+    }
+};
+
+module.exports = { ...core, Fixtures };
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ImportJobs, Fixtures } = require('./helpers');
+
+// The modules log their progress as they go; the tests check return values instead
+test.beforeEach((t) => t.mock.method(console, 'log', () => { }));
+
+const progress = () => { };
+const IMAGE = 'data:image/png;base64,' + 'Q'.repeat(70000);
+
+test('read, inspect and parse a workbook with image chunks', async () => {
+    const chunks = Fixtures.imageChunks(IMAGE, 32000);
+    const header = [...Fixtures.HEADER, ...Object.keys(chunks)];
+    const workbook = Fixtures.workbook({
+        Sheet1: [
+            header,
+            ['Maths', 2024, '1', 'MC', 0.5, 0.6, 1, 'Algebra', 'MA-1', ...Object.values(chunks)],
+            ['Maths', 2024, '2', 'MC', 0.7, 0.6, 1, 'Algebra', 'MA-2']
+        ]
+    });
+
+    const sources = await ImportJobs.read([Fixtures.file('maths.xlsx', workbook)], progress);
+    assert.deepEqual(sources, [{ name: 'maths.xlsx', sheets: ['Sheet1'] }]);
+
+    const selections = [{ source: 0, sheets: ['Sheet1'] }];
+    const { headers } = await ImportJobs.inspect(selections, progress);
+    assert.deepEqual(headers, Fixtures.HEADER); // Chunk columns are not offered for mapping
+
+    const processed = await ImportJobs.parse(selections, null, progress);
+    const [withImage, without] = processed.raw;
+    assert.equal(withImage._file, 'maths.xlsx');
+    assert.ok(!Object.keys(withImage).some(k => k.startsWith('HSC_BASE64_')), 'chunks move out of the row');
+    assert.equal(ImportJobs.image(withImage._image), IMAGE);
+    assert.equal(without._image, undefined);
+});
+
+test('embed writes chunks back into the source workbook', async () => {
+    const workbook = Fixtures.workbook({ Sheet1: [Fixtures.HEADER, ['Maths', 2024, '1', 'MC', 0.5, 0.6, 1, '', '']] });
+    await ImportJobs.read([Fixtures.file('maths.xlsx', workbook)], progress);
+    const selections = [{ source: 0, sheets: ['Sheet1'] }];
+    const [row] = (await ImportJobs.parse(selections, null, progress)).raw;
+
+    const key = ImportJobs.embed(row, ['data:image/png;base64,AB', 'CD']);
+    assert.equal(ImportJobs.image(key), 'data:image/png;base64,ABCD');
+
+    // The exported workbook reads back with the image in place
+    const data = ImportJobs.exportWorkbook('maths.xlsx');
+    await ImportJobs.read([{ name: 'maths.xlsx', arrayBuffer: async () => data }], progress);
+    const [reread] = (await ImportJobs.parse(selections, null, progress)).raw;
+    assert.equal(ImportJobs.image(reread._image), 'data:image/png;base64,ABCD');
+});
+
+test('parse fails clearly once a source is no longer loaded', async () => {
+    await ImportJobs.read([], progress);
+    await assert.rejects(ImportJobs.parse([{ source: 0, sheets: ['Sheet1'] }], null, progress), /no longer loaded/);
+});
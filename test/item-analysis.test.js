@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ItemAnalysis } = require('./helpers');
+
+// Four students, three questions (max 1, 1, 2). Totals 4, 2, 1, 2: the upper group
+// (27% of 4 = 1 student) is the first student, the lower group the third.
+const MATRIX = [
+    ['Student', '1', '2', '3'],
+    ['Max Mark', 1, 1, 2],
+    ['Max Chen', 1, 1, 2],
+    ['Cohort Smith', 1, 0, 1],
+    ['Ana Lee', 0, 0, 1],
+    ['Max', 1, 1, '']
+];
+
+const parse = () => ItemAnalysis.parseMatrixSheet(XLSX.utils.aoa_to_sheet(MATRIX), 'Maths 2024', { subject: 'Maths', year: 2024 });
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+test('parseMatrixSheet reads students whose names contain a field spelling as students', () => {
+    const rows = parse();
+    assert.deepEqual(rows.map(r => r['Max Mark (Item)']), [1, 1, 2]);
+    assert.ok(rows.every(r => r['School N'] === 4));
+    assert.equal(ItemAnalysis.metaKey('Max Mark'), 'Max Mark (Item)');
+    assert.equal(ItemAnalysis.metaKey('Max Chen'), null);
+    assert.equal(ItemAnalysis.metaKey('Max'), null);
+});
+
+test('facility is the mean mark over the max mark', () => {
+    const rows = parse();
+    assert.deepEqual(rows.map(r => r['School Mean (Item)']), [0.75, 0.5, 1]);
+    assert.deepEqual(rows.map(r => r['Facility']), [0.75, 0.5, 0.5]);
+});
+
+test('discrimination compares the upper and lower groups, over the max mark', () => {
+    assert.deepEqual(parse().map(r => r['Discrimination']), [1, 1, 0.5]);
+});
+
+test('alpha is k / (k - 1) * (1 - sum of item variances / variance of totals)', () => {
+    // Item variances 1/4 + 1/3 + 2/3 = 5/4; total variance 19/12 -> 1.5 * (1 - 15/19) = 6/19
+    close(parse()[0]['Reliability (Alpha)'], 6 / 19);
+    assert.equal(ItemAnalysis.cronbachAlpha([[1, 1]]), null); // One student
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { PdfGenerator, ChartGenerator, DataProcessor, ReportConfig, Fixtures } = require('./helpers');
+
+// The modules log their progress as they go; the tests check return values instead
+test.beforeEach((t) => t.mock.method(console, 'log', () => { }));
+
+// Golden page lists; regenerate with UPDATE_GOLDEN=1 npm test after an intended change
+const GOLDEN = path.join(__dirname, 'golden', 'sort-pages.json');
+
+const CONFIGS = {
+    defaults: () => ReportConfig.defaults(),
+
+    everything: () => {
+        const config = ReportConfig.defaults();
+        config.sections.forEach(s => s.enabled = true);
+        return config;
+    },
+
+    // Trends and summaries first, no top/bottom, Chemistry left out
+    custom: () => ReportConfig.normalize({
+        sections: [
+            { id: 'trends', enabled: true },
+            { id: 'summary', enabled: true },
+            { id: 'insights', enabled: true },
+            { id: 'mixed', enabled: true },
+            { id: 'performance', enabled: false },
+            { id: 'topbottom', enabled: false },
+            { id: 'questionbank', enabled: true }
+        ],
+        excludeSubjects: ['Chemistry'],
+        ranking: { count: 2, metric: 'gap', splitByType: true }
+    }),
+
+    // Everything, with 21a / 21b grouped under question 21
+    parts: () => ({ ...CONFIGS.everything(), rollUpParts: true })
+};
+
+// "Year | section | title" for every page of every subject, in report order
+function pageList(config) {
+    const processed = DataProcessor.processData(Fixtures.reportRows());
+    const data = { ...processed, grouped: ReportConfig.filterGrouped(processed.grouped, config) };
+    const charts = ChartGenerator.planCharts(data.grouped, config).map(job => ({ ...job.page, type: 'chart' }));
+    const pagesBySubject = PdfGenerator.collectPages(charts, data, config);
+
+    const lines = {};
+    Object.keys(pagesBySubject).forEach(subject => {
+        lines[subject] = pagesBySubject[subject].map(p => `${p.year} | ${p.section} | ${p.title}`);
+    });
+    return lines;
+}
+
+test('sortPages matches the golden page lists', () => {
+    const actual = {};
+    Object.keys(CONFIGS).forEach(name => actual[name] = pageList(CONFIGS[name]()));
+
+    if (process.env.UPDATE_GOLDEN) fs.writeFileSync(GOLDEN, JSON.stringify(actual, null, 2) + '\n');
+    assert.deepEqual(actual, JSON.parse(fs.readFileSync(GOLDEN, 'utf8')));
+});
+
+test('sortPages files years in order, then Trends, then the question bank', () => {
+    const pages = [
+        { subject: 'Maths', year: PdfGenerator.QUESTION_BANK_LABEL, section: 'questionbank', title: 'bank' },
+        { subject: 'Maths', year: ChartGenerator.TREND_LABEL, section: 'trends', title: 'trend' },
+        { subject: 'Maths', year: '2024', section: 'mixed', title: '2024 mixed' },
+        { subject: 'Maths', year: '2023', section: 'diff', title: '2023 diff' },
+        { subject: 'Maths', year: '2023', section: 'mixed', title: '2023 mixed' }
+    ];
+    assert.deepEqual(PdfGenerator.sortPages(pages).map(p => p.title), ['2023 mixed', '2023 diff', '2024 mixed', 'trend', 'bank']);
+});
+
+test('sortPages keeps generation order within a section', () => {
+    const pages = ['b', 'a', 'c'].map(title => ({ subject: 'Maths', year: '2024', section: 'topbottom', title }));
+    assert.deepEqual(PdfGenerator.sortPages(pages).map(p => p.title), ['b', 'a', 'c']);
+});
+
+test('generateTopBottomMetadata ranks whole questions when parts are grouped', () => {
+    const grouped = DataProcessor.processData(Fixtures.reportRows()).grouped;
+    const ranking = { count: 7, metric: 'successRate', splitByType: false };
+    const questions = (rollUp) => PdfGenerator.generateTopBottomMetadata({ Biology: grouped.Biology }, ranking, rollUp)
+        .filter(p => p.year === '2024' && p.color === 'green')
+        .map(p => p.data['Question (Item)']);
+
+    assert.ok(questions(false).includes('21a'));
+    const rolled = questions(true);
+    assert.equal(rolled.length, 6);
+    assert.ok(rolled.includes('21') && !rolled.includes('21a'));
+
+    const page = PdfGenerator.generateTopBottomMetadata({ Biology: grouped.Biology }, ranking, true).find(p => p.data['Question (Item)'] === '21');
+    assert.deepEqual(page.data.parts.map(r => r['Question (Item)']), ['21a', '21b']);
+    assert.equal(page.data['Max Mark (Item)'], 10);
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { QuestionId, ChartGenerator, ReportConfig } = require('./helpers');
+
+const parts = (id) => QuestionId.parse(id).parts.map(p => [p.label, p.value]);
+const sorted = (ids) => QuestionId.sort(ids.map(q => ({ 'Question (Item)': q }))).map(r => r['Question (Item)']);
+
+test('parse drops question words and keeps real sections', () => {
+    assert.deepEqual(
+        ['Q5', 'Question 12', 'MC 3', 'Section II Q24', 'ER-7'].map(id => {
+            const { section, number } = QuestionId.parse(id);
+            return [section, number];
+        }),
+        [['', 5], ['', 12], ['mc', 3], ['section ii', 24], ['er', 7]]
+    );
+});
+
+test('parse reads letters, roman numerals and decimals as parts', () => {
+    assert.deepEqual(parts('11 (a)'), [['a', 1]]);
+    assert.deepEqual(parts('21a(ii)'), [['a', 1], ['ii', 2]]);
+    assert.deepEqual(parts('21aiv'), [['a', 1], ['iv', 4]]);
+    assert.deepEqual(parts('5(ii)'), [['ii', 2]]);
+    assert.deepEqual(parts('21(b)(i)'), [['b', 2], ['i', 1]]);
+    assert.deepEqual(parts('21i'), [['i', 9]]); // A lone first-level "i" is the letter after h
+    assert.deepEqual(parts('31.2'), [['2', 2]]);
+});
+
+test('parse gives the parent label as written and flags labels without a number', () => {
+    const id = QuestionId.parse(' Q21a(ii) ');
+    assert.equal(id.parent, 'Q21');
+    assert.equal(id.partLabel, 'a(ii)');
+    assert.equal(QuestionId.parse('Algebra').valid, false);
+    assert.equal(QuestionId.parentKey('21b'), QuestionId.parentKey('Q21 (a)'));
+    assert.equal(QuestionId.parentKey('Notes'), null);
+});
+
+test('sort puts parents before parts, parts in order, MC before ER and unnumbered labels last', () => {
+    assert.deepEqual(
+        sorted(['ER 2', 'Extra', '21b', '21a(ii)', '21', '21a(i)', '3', 'MC 10', 'MC 2', '31.10', '31.2', '21a(x)', '21a(iv)']),
+        ['MC 2', 'MC 10', 'ER 2', '3', '21', '21a(i)', '21a(ii)', '21a(iv)', '21a(x)', '21b', '31.2', '31.10', 'Extra']
+    );
+});
+
+test('sort places IDs without a section by their MC/ER type', () => {
+    const rows = [['MC 3', 'MC'], ['21', 'ER'], ['MC 1', 'MC'], ['Q2', 'MC'], ['Question 22a', 'ER'], ['5', '']]
+        .map(([q, type]) => ({ 'Question (Item)': q, 'MC/ER': type }));
+    assert.deepEqual(QuestionId.sort(rows).map(r => r['Question (Item)']), ['MC 1', 'Q2', 'MC 3', '21', 'Question 22a', '5']);
+});
+
+test('sort keeps the input order for equal IDs', () => {
+    assert.deepEqual(sorted(['Q5', '5', 'q 5']), ['Q5', '5', 'q 5']);
+});
+
+test('rollUp sums the parts of each question into one row', () => {
+    const row = (q, school, state, max, type = 'ER') => ({
+        'Subject': 'Physics', 'Year': 2024, 'Question (Item)': q, 'MC/ER': type,
+        'Question Per Content': 'Waves', 'Question Per Outcome': q === '21b' ? 'PH12-2' : 'PH12-1',
+        'School Mean (Item)': school, 'State Mean (Item)': state, 'Max Mark (Item)': max,
+        'School N': 30, 'School SD (Item)': 1, 'State SD (Item)': 1
+    });
+    const rolled = QuestionId.rollUp([row('21b', 2, 1.5, 3), row('1', 0.8, 0.7, 1, 'MC'), row('21a', 1, 1.2, 2), row('22', 3, 3, 5)]);
+
+    assert.deepEqual(rolled.map(r => r['Question (Item)']), ['1', '21', '22']);
+    const q21 = rolled[1];
+    assert.equal(q21['School Mean (Item)'], 3);
+    assert.equal(q21['State Mean (Item)'], 2.7);
+    assert.equal(q21['Max Mark (Item)'], 5);
+    assert.equal(q21['Question Per Content'], 'Waves');
+    assert.equal(q21['Question Per Outcome'], ''); // The parts disagree
+    assert.equal(q21['School SD (Item)'], null);
+    assert.deepEqual(q21.parts.map(r => r['Question (Item)']), ['21a', '21b']);
+    assert.equal(rolled[2]['School N'], 30); // Questions without parts are untouched
+});
+
+test('rollUp prefers a whole-question row over its parts', () => {
+    const rolled = QuestionId.rollUp([
+        { 'Question (Item)': '21', 'School Mean (Item)': 4, 'Max Mark (Item)': 6 },
+        { 'Question (Item)': '21a', 'School Mean (Item)': 1, 'Max Mark (Item)': 2 }
+    ]);
+    assert.equal(rolled.length, 1);
+    assert.equal(rolled[0]['School Mean (Item)'], 4);
+});
+
+test('planCharts charts rolled-up questions only when rollUpParts is on', () => {
+    const grouped = {
+        Physics: {
+            2024: ['21a', '21b', '22'].map(q => ({
+                'Subject': 'Physics', 'Year': 2024, 'Question (Item)': q, 'MC/ER': 'ER',
+                'Question Per Content': '', 'Question Per Outcome': '',
+                'School Mean (Item)': 1, 'State Mean (Item)': 1, 'Max Mark (Item)': 2
+            }))
+        }
+    };
+    const mixedLabels = (config) => ChartGenerator.planCharts(grouped, config)
+        .find(c => c.builder === 'buildMixedChartConfig').args[0].map(r => r['Question (Item)']);
+
+    const config = ReportConfig.defaults();
+    assert.deepEqual(mixedLabels(config), ['21a', '21b', '22']);
+    assert.deepEqual(mixedLabels({ ...config, rollUpParts: true }), ['21', '22']);
+    assert.equal(ReportConfig.normalize({ rollUpParts: true }).rollUpParts, true);
+    assert.equal(ReportConfig.normalize({}).rollUpParts, false);
+});